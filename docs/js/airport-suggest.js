@@ -0,0 +1,129 @@
+// airport-suggest.js
+// Ranked airport suggestions (Search.query) under a text input: the search
+// box, distance endpoints and radius center. Picking one puts its ICAO in
+// the input.
+
+(function (global) {
+  'use strict';
+
+  const AirportSuggest = {};
+
+  const LIMIT = 8;
+  const MIN_CHARS = 2;
+
+  function describe(f) {
+    const p = f.properties || {};
+    return [p.name, p.city].filter(Boolean).join(', ');
+  }
+
+  // options = { onPick(icao, feature) } — called when a suggestion is
+  // clicked. A suggestion picked with Enter is left to the input's own
+  // Enter handling.
+  AirportSuggest.attach = function attach(input, options) {
+    if (!input) return null;
+    const onPick = (options && options.onPick) || function () {};
+
+    const list = document.createElement('ul');
+    list.className = 'airport-suggest hidden';
+    list.setAttribute('role', 'listbox');
+    document.body.appendChild(list);
+
+    let results = [];
+    let active = -1;
+
+    function close() {
+      list.classList.add('hidden');
+      list.textContent = '';
+      results = [];
+      active = -1;
+    }
+
+    // Fixed positioning keeps the list clear of panels with overflow hidden.
+    function place() {
+      const r = input.getBoundingClientRect();
+      list.style.left = `${r.left}px`;
+      list.style.top = `${r.bottom + 2}px`;
+      list.style.minWidth = `${r.width}px`;
+    }
+
+    function setActive(i) {
+      active = i;
+      Array.from(list.children).forEach((li, j) => {
+        li.classList.toggle('active', j === i);
+        li.setAttribute('aria-selected', String(j === i));
+      });
+    }
+
+    function pick(i, byClick) {
+      const r = results[i];
+      if (!r) return;
+      const icao = String(r.feature.properties.icao || '').toUpperCase();
+      input.value = icao;
+      close();
+      input.dispatchEvent(new Event('change', { bubbles: true }));
+      if (byClick) onPick(icao, r.feature);
+    }
+
+    function update() {
+      const text = input.value.trim();
+      const S = global.Search;
+      if (text.length < MIN_CHARS || !S || !S.query ||
+          (global.GeoUtil && global.GeoUtil.parseLatLon(text)) ||
+          (global.QuerySyntax && global.QuerySyntax.isStructured(text))) {
+        close();
+        return;
+      }
+
+      results = S.query(text, { limit: LIMIT });
+      if (!results.length) {
+        close();
+        return;
+      }
+
+      list.textContent = '';
+      results.forEach((r, i) => {
+        const li = document.createElement('li');
+        li.setAttribute('role', 'option');
+        const code = document.createElement('strong');
+        code.textContent = String(r.feature.properties.icao || '').toUpperCase();
+        li.appendChild(code);
+        li.appendChild(document.createTextNode(' ' + describe(r.feature)));
+        if (r.match === 'fuzzy') li.classList.add('fuzzy');
+        // mousedown, not click: the input's blur would close the list first.
+        li.addEventListener('mousedown', evt => {
+          evt.preventDefault();
+          pick(i, true);
+        });
+        list.appendChild(li);
+      });
+      active = -1;
+      place();
+      list.classList.remove('hidden');
+    }
+
+    input.addEventListener('input', update);
+    input.addEventListener('blur', close);
+
+    // Capture phase, so a highlighted suggestion is filled in before the
+    // input's own Enter handler runs.
+    input.addEventListener('keydown', evt => {
+      if (list.classList.contains('hidden')) return;
+      if (evt.key === 'ArrowDown') {
+        evt.preventDefault();
+        setActive((active + 1) % results.length);
+      } else if (evt.key === 'ArrowUp') {
+        evt.preventDefault();
+        setActive(active <= 0 ? results.length - 1 : active - 1);
+      } else if (evt.key === 'Enter') {
+        if (active >= 0) pick(active);
+        else close();
+      } else if (evt.key === 'Escape') {
+        close();
+      }
+    }, true);
+
+    return { close };
+  };
+
+  global.AirportSuggest = AirportSuggest;
+})(window);
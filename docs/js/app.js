@@ -15,32 +15,60 @@
     // Query UI
     filtersBtn: document.getElementById('filtersBtn'),
     filtersPanel: document.getElementById('filtersPanel'),
+    groupTabs: document.getElementById('groupTabs'),
+    addGroup: document.getElementById('addGroup'),
     loading: document.getElementById('loading'),
     search: document.getElementById('searchInput'),
+    searchError: document.getElementById('searchError'),
     country: document.getElementById('countrySelect'),
     state: document.getElementById('stateSelect'),
     type: document.getElementById('typeSelect'),
     size: document.getElementById('sizeSelect'),
     surface: document.getElementById('surfaceSelect'),
-    services: document.getElementById('servicesSelect'),
+    capabilities: document.getElementById('capabilityChecks'),
     rwyMin: document.getElementById('rwyMin'),
     rwyMax: document.getElementById('rwyMax'),
+    elevRange: document.getElementById('elevRange'),
+    sizeRange: document.getElementById('sizeRange'),
+    rwyRange: document.getElementById('rwyRange'),
+    latRange: document.getElementById('latRange'),
+    lonRange: document.getElementById('lonRange'),
+    rwyCountMin: document.getElementById('rwyCountMin'),
+    rwyCountMax: document.getElementById('rwyCountMax'),
+    rwyHeading: document.getElementById('rwyHeading'),
+    rwyHeadingTol: document.getElementById('rwyHeadingTol'),
+    rwyMatchLen: document.getElementById('rwyMatchLen'),
+    rwyMatchSurface: document.getElementById('rwyMatchSurface'),
     irlStatus: document.getElementById('irlStatus'),
     localFuel: document.getElementById('localFuel'),
     localMx: document.getElementById('localMx'),
     radiusCenter: document.getElementById('radiusCenter'),
     radiusNm: document.getElementById('radiusNm'),
+    radiusNote: document.getElementById('radiusNote'),
     clear: document.getElementById('filtersClear'),
     copyIcaos: document.getElementById('copyIcaos'),
+    exportCsv: document.getElementById('exportCsv'),
+    sortBy: document.getElementById('sortSelect'),
+    sortThen: document.getElementById('sortThenSelect'),
+    resultsList: document.getElementById('resultsList'),
+    resultsRange: document.getElementById('resultsRange'),
+    resultsPrev: document.getElementById('resultsPrev'),
+    resultsNext: document.getElementById('resultsNext'),
     close: document.getElementById('filtersClose'),
     count: document.getElementById('count'),
+    dataAsOf: document.getElementById('dataAsOf'),
+    dataInfoPopover: document.getElementById('dataInfoPopover'),
+    duplicatesBtn: document.getElementById('duplicatesBtn'),
 
     // Distance UI
     distanceBtn: document.getElementById('distanceBtn'),
     distancePanel: document.getElementById('distancePanel'),
     distFrom: document.getElementById('distFrom'),
     distTo: document.getElementById('distTo'),
+    distDepart: document.getElementById('distDepart'),
+    distSpeed: document.getElementById('distSpeed'),
     distanceResult: document.getElementById('distanceResult'),
+    distanceWarning: document.getElementById('distanceWarning'),
     distanceGo: document.getElementById('distanceGo'),
     distanceSwap: document.getElementById('distanceSwap'),
     distanceClear: document.getElementById('distanceClear'),
@@ -56,16 +84,29 @@
   // Instantiate feature modules
   const queryUI = QueryUI.create(map, {
     search: el.search,
+    searchError: el.searchError,
     country: el.country,
     state: el.state,
     type: el.type,
     size: el.size,
     surface: el.surface,
-    services: el.services,
+    capabilities: el.capabilities,
     rwyMin: el.rwyMin,
     rwyMax: el.rwyMax,
+    elevRange: el.elevRange,
+    sizeRange: el.sizeRange,
+    rwyRange: el.rwyRange,
+    latRange: el.latRange,
+    lonRange: el.lonRange,
+    rwyCountMin: el.rwyCountMin,
+    rwyCountMax: el.rwyCountMax,
+    rwyHeading: el.rwyHeading,
+    rwyHeadingTol: el.rwyHeadingTol,
+    rwyMatchLen: el.rwyMatchLen,
+    rwyMatchSurface: el.rwyMatchSurface,
     radiusCenter: el.radiusCenter,
     radiusNm: el.radiusNm,
+    radiusNote: el.radiusNote,
     irlStatus: el.irlStatus,
     localFuel: el.localFuel,
     localMx: el.localMx,
@@ -73,14 +114,26 @@
     close: el.close,
     filtersBtn: el.filtersBtn,
     filtersPanel: el.filtersPanel,
+    groupTabs: el.groupTabs,
+    addGroup: el.addGroup,
     count: el.count,
-    copyIcaos: el.copyIcaos
+    copyIcaos: el.copyIcaos,
+    exportCsv: el.exportCsv,
+    sortBy: el.sortBy,
+    sortThen: el.sortThen,
+    resultsList: el.resultsList,
+    resultsRange: el.resultsRange,
+    resultsPrev: el.resultsPrev,
+    resultsNext: el.resultsNext
   });
 
   const distanceTool = DistanceTool.create(map, {
     distFrom: el.distFrom,
     distTo: el.distTo,
+    distDepart: el.distDepart,
+    distSpeed: el.distSpeed,
     result: el.distanceResult,
+    warning: el.distanceWarning,
     panel: el.distancePanel,
     btnToggle: el.distanceBtn,
     btnGo: el.distanceGo,
@@ -89,25 +142,30 @@
     btnClose: el.distanceClose
   });
 
-  // Data loading
-  async function load() {
-    try {
-      setLoading(true);
-      const res = await fetch('./data/airports.geojson', {
-        cache: 'no-cache'
-      });
-      if (!res.ok) throw new Error('HTTP ' + res.status);
-      const gj = await res.json();
-      allFeatures = Array.isArray(gj.features) ? gj.features : [];
-    } catch (err) {
-      console.error('GeoJSON fetch/parse failed:', err);
-      alert('Failed to load airports.geojson');
-      setLoading(false);
-      return;
-    }
+  const dataInfo = DataInfo.create({
+    button: el.dataAsOf,
+    popover: el.dataInfoPopover
+  });
+
+  const duplicateOverlay = DuplicateOverlay.create(map, {
+    button: el.duplicatesBtn
+  });
+
+  // Data loading: tiles stream in batches; each batch re-indexes and
+  // re-renders with the current filters, so results fill in as data arrives.
+  let fitted = false;
+  let userMoved = false;
+  map.on('dragstart', () => { userMoved = true; });
+  map.getContainer().addEventListener('wheel', () => { userMoved = true; }, { passive: true });
 
+  function applyBatch(features, info) {
+    allFeatures = features;
+    dataInfo.setMetadata(info.metadata);
     try {
-      Search.build(allFeatures);
+      Search.build(allFeatures, {
+        complete: info.complete,
+        capabilities: info.metadata && info.metadata.capabilities
+      });
       queryUI.setAllFeatures(allFeatures);
       queryUI.populateSelects();
       if (window.SuggestionForms &&
@@ -115,9 +173,28 @@
         window.SuggestionForms.refreshCountryStateOptions();
       }
       queryUI.render();
-      GlRenderer.fitTo(allFeatures);
+      duplicateOverlay.setFeatures(allFeatures);
+      if (info.complete && !fitted && !userMoved) {
+        GlRenderer.fitTo(allFeatures);
+        fitted = true;
+      }
     } catch (err) {
       console.error('Render failed:', err);
+    }
+  }
+
+  const loader = DataLoader.create(map, {
+    baseUrl: './data/',
+    onBatch: applyBatch
+  });
+
+  async function load() {
+    try {
+      setLoading(true);
+      await loader.load();
+    } catch (err) {
+      console.error('GeoJSON fetch/parse failed:', err);
+      alert('Failed to load airports.geojson');
     } finally {
       setLoading(false);
     }
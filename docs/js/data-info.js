@@ -0,0 +1,124 @@
+// data-info.js
+// "Data as of …" indicator in the top bar, with a details popover built from
+// the dataset's metadata block (build time, sources, counts, rules version).
+
+(function (global) {
+  'use strict';
+
+  const DataInfo = {};
+
+  // Builds older than this are flagged as stale.
+  const STALE_AFTER_DAYS = 30;
+
+  const { escapeHtml } = global.GeoUtil;
+
+  function formatAge(days) {
+    if (days < 1) return 'today';
+    if (days < 2) return 'yesterday';
+    return `${Math.floor(days)} days ago`;
+  }
+
+  function sourceRowsHtml(label, src) {
+    if (!src) return '';
+    const hash = src.sha256 ? src.sha256.slice(0, 12) : '—';
+    const rows = Number.isFinite(src.rows) ? src.rows.toLocaleString() + ' rows' : '';
+    return `
+      <div class="ap-row">
+        <div class="ap-label">${label}</div>
+        <div class="ap-value">
+          <div class="data-info-source" title="${escapeHtml(src.source)}">${escapeHtml(src.source)}</div>
+          <div class="data-info-sub">${[rows, 'sha256 ' + hash].filter(Boolean).join(' · ')}</div>
+          ${src.lastModified ? `<div class="data-info-sub">Last modified ${escapeHtml(src.lastModified)}</div>` : ''}
+          ${src.etag ? `<div class="data-info-sub">ETag ${escapeHtml(src.etag)}</div>` : ''}
+          ${src.cache === 'stale' ? `<div class="data-info-sub">Download failed; built from a cached copy</div>` : ''}
+        </div>
+      </div>`;
+  }
+
+  // elements = { button, popover }
+  DataInfo.create = function create(elements) {
+    function close() {
+      if (!elements.popover || !elements.button) return;
+      elements.popover.classList.add('hidden');
+      elements.button.setAttribute('aria-expanded', 'false');
+    }
+
+    function toggle() {
+      if (!elements.popover || !elements.button) return;
+      const open = elements.popover.classList.contains('hidden');
+      elements.popover.classList.toggle('hidden', !open);
+      elements.button.setAttribute('aria-expanded', String(open));
+    }
+
+    function setMetadata(meta) {
+      if (!elements.button) return;
+
+      const generated = meta && meta.generated ? new Date(meta.generated) : null;
+      if (!generated || Number.isNaN(generated.getTime())) {
+        elements.button.classList.add('hidden');
+        return;
+      }
+
+      const ageDays = (Date.now() - generated.getTime()) / 86400000;
+      const stale = ageDays > STALE_AFTER_DAYS;
+      const dateStr = generated.toISOString().slice(0, 10);
+
+      elements.button.textContent = `Data as of ${dateStr}`;
+      elements.button.classList.remove('hidden');
+      elements.button.classList.toggle('stale', stale);
+      elements.button.title = stale
+        ? `This build is ${Math.floor(ageDays)} days old`
+        : 'Dataset build details';
+
+      if (!elements.popover) return;
+
+      const counts = meta.counts || {};
+      const sources = meta.sources || {};
+      const rulesVersion = meta.rules && meta.rules.version;
+
+      elements.popover.innerHTML = `
+        <div class="ap-popup">
+          <div class="ap-header">
+            <div class="ap-name">Dataset build</div>
+            <div class="ap-place">${escapeHtml(generated.toUTCString())} (${formatAge(ageDays)})</div>
+          </div>
+          <div class="ap-body">
+            ${stale ? `<div class="data-info-stale">This build is more than ${STALE_AFTER_DAYS} days old and may not match FSE today.</div>` : ''}
+            <div class="ap-row">
+              <div class="ap-label">Airports</div>
+              <div class="ap-value">${Number.isFinite(counts.features) ? counts.features.toLocaleString() : '—'}</div>
+            </div>
+            <div class="ap-row">
+              <div class="ap-label">Rows rejected / coerced</div>
+              <div class="ap-value">${counts.rejected ?? '—'} / ${counts.coerced ?? '—'}</div>
+            </div>
+            <div class="ap-row">
+              <div class="ap-label">Rules version</div>
+              <div class="ap-value">${escapeHtml(rulesVersion || '—')}</div>
+            </div>
+            ${sourceRowsHtml('FSE data', sources.fse)}
+            ${sourceRowsHtml('IRL mapping', sources.irl)}
+          </div>
+        </div>`;
+    }
+
+    if (elements.button) {
+      elements.button.addEventListener('click', evt => {
+        evt.stopPropagation();
+        toggle();
+      });
+    }
+
+    document.addEventListener('click', evt => {
+      if (elements.popover && !elements.popover.contains(evt.target)) close();
+    });
+
+    document.addEventListener('keydown', evt => {
+      if (evt.key === 'Escape') close();
+    });
+
+    return { setMetadata };
+  };
+
+  global.DataInfo = DataInfo;
+})(window);
@@ -0,0 +1,130 @@
+// data-loader.js
+// Loads airport data: spatial tiles (viewport first, rest in background)
+// when data/tiles/manifest.json exists, otherwise the single GeoJSON file.
+
+(function (global) {
+  'use strict';
+
+  const DataLoader = {};
+
+  const CONCURRENCY = 4;       // parallel tile requests
+  const BATCH_DELAY_MS = 400;  // coalesce onBatch calls while tiles stream in
+
+  async function fetchJson(url) {
+    const res = await fetch(url, { cache: 'no-cache' });
+    if (!res.ok) throw new Error('HTTP ' + res.status + ' for ' + url);
+    return res.json();
+  }
+
+  // Tile bounds are [west, south, east, north]. The map can be panned across
+  // the antimeridian (worldCopyJump), so also test the tile shifted by ±360.
+  function tileVisible(tile, mapBounds) {
+    if (!mapBounds) return false;
+    const west = mapBounds.getWest();
+    const east = mapBounds.getEast();
+    const south = mapBounds.getSouth();
+    const north = mapBounds.getNorth();
+
+    if (east - west >= 360) {
+      return tile.bounds[3] >= south && tile.bounds[1] <= north;
+    }
+
+    return [-360, 0, 360].some(shift =>
+      tile.bounds[0] + shift <= east &&
+      tile.bounds[2] + shift >= west &&
+      tile.bounds[1] <= north &&
+      tile.bounds[3] >= south
+    );
+  }
+
+  // options = { baseUrl, onBatch(features, { complete, metadata }) }
+  // `metadata` is the build's provenance block (null for old builds).
+  DataLoader.create = function create(map, options) {
+    const baseUrl = options.baseUrl || './data/';
+    const onBatch = options.onBatch || function () {};
+
+    const features = [];
+    let metadata = null;
+    let batchTimer = null;
+
+    function emit(complete) {
+      clearTimeout(batchTimer);
+      batchTimer = null;
+      onBatch(features.slice(), { complete, metadata });
+    }
+
+    function scheduleBatch() {
+      if (batchTimer) return;
+      batchTimer = setTimeout(() => emit(false), BATCH_DELAY_MS);
+    }
+
+    async function loadTile(tile) {
+      try {
+        const gj = await fetchJson(baseUrl + 'tiles/' + tile.file);
+        if (Array.isArray(gj.features)) features.push(...gj.features);
+      } catch (err) {
+        console.error('Tile load failed:', tile.file, err);
+      }
+    }
+
+    async function loadTiled(manifest) {
+      const tiles = Array.isArray(manifest.tiles) ? manifest.tiles : [];
+      metadata = manifest.metadata || null;
+      const bounds = map.getBounds();
+
+      // 1) Everything in the current viewport, then show it.
+      const visible = tiles.filter(t => tileVisible(t, bounds));
+      const pending = tiles.filter(t => !visible.includes(t));
+      await Promise.all(visible.map(loadTile));
+      if (pending.length) emit(false);
+
+      // 2) The rest in the background. Each worker re-checks the viewport
+      //    when picking its next tile, so panning reprioritizes the queue.
+      function takeNext() {
+        const b = map.getBounds();
+        const i = pending.findIndex(t => tileVisible(t, b));
+        return pending.splice(i >= 0 ? i : 0, 1)[0];
+      }
+
+      async function worker() {
+        while (pending.length) {
+          await loadTile(takeNext());
+          scheduleBatch();
+        }
+      }
+
+      const workers = [];
+      for (let i = 0; i < CONCURRENCY; i++) workers.push(worker());
+      await Promise.all(workers);
+    }
+
+    async function loadSingle() {
+      const gj = await fetchJson(baseUrl + 'airports.geojson');
+      metadata = gj.metadata || null;
+      if (Array.isArray(gj.features)) features.push(...gj.features);
+    }
+
+    // Resolves with all features once everything is loaded.
+    async function load() {
+      let manifest = null;
+      try {
+        manifest = await fetchJson(baseUrl + 'tiles/manifest.json');
+      } catch (err) {
+        // No tiles published: fall back to the single file.
+      }
+
+      if (manifest) {
+        await loadTiled(manifest);
+      } else {
+        await loadSingle();
+      }
+
+      emit(true);
+      return features;
+    }
+
+    return { load };
+  };
+
+  global.DataLoader = DataLoader;
+})(window);
@@ -38,18 +38,21 @@
       const raw = input.trim();
       if (!raw) return null;
 
-      // 1) Try ICAO via Search.byIcao
+      // 1) Try ICAO, or an alias (IRL ICAO, IATA, former code, name), via
+      //    Search.resolve
       const icaoCode = raw.toUpperCase();
-      const f = global.Search &&
-                Search.byIcao &&
-                Search.byIcao(icaoCode);
+      const hit = global.Search &&
+                  Search.resolve &&
+                  Search.resolve(raw);
+      const f = hit && hit.feature;
       if (f && f.geometry && Array.isArray(f.geometry.coordinates)) {
         const [lon, lat] = f.geometry.coordinates;
         if (Number.isFinite(lat) && Number.isFinite(lon)) {
           const label = (f.properties && f.properties.icao
             ? String(f.properties.icao).toUpperCase()
             : icaoCode);
-          return { lat, lon, label };
+          const note = hit.alias ? `${label} ${hit.alias.note}` : null;
+          return { lat, lon, label, note };
         }
       }
 
@@ -60,6 +63,17 @@
         return { lat: c.lat, lon: c.lon, label };
       }
 
+      // 3) Best ranked name / code match ("Heathrow", "anchorge"). A fuzzy
+      //    (misspelt) match is only a guess, so it carries a note naming
+      //    what was typed.
+      const best = global.Search && Search.query && Search.query(raw, { limit: 1 })[0];
+      if (best && Array.isArray(best.feature.geometry && best.feature.geometry.coordinates)) {
+        const [lon, lat] = best.feature.geometry.coordinates;
+        const label = String(best.feature.properties.icao || raw).toUpperCase();
+        const note = best.match === 'fuzzy' ? `${label} resolved from closest match to "${raw}"` : null;
+        return { lat, lon, label, note };
+      }
+
       return null;
     }
 
@@ -107,6 +121,47 @@
       return s + '°';
     }
 
+    function formatUtc(date) {
+      return date.toISOString().slice(11, 16) + 'Z';
+    }
+
+    function setWarning(text) {
+      if (!elements.warning) return;
+      elements.warning.textContent = text || '';
+      elements.warning.classList.toggle('hidden', !text);
+    }
+
+    // Estimated arrival from the departure time (UTC) and groundspeed inputs,
+    // checked against civil twilight at the destination. Returns null when
+    // either input is missing, else { eta, warning } (warning null if the
+    // arrival is in daylight).
+    function arrivalCheck(to, dNm) {
+      const departText = elements.distDepart ? elements.distDepart.value : '';
+      const speed = elements.distSpeed ? Number(elements.distSpeed.value) : NaN;
+      if (!departText || !(speed > 0)) return null;
+
+      const depart = new Date(departText + 'Z');
+      if (Number.isNaN(depart.getTime())) return null;
+      const eta = new Date(depart.getTime() + (dNm / speed) * 3600000);
+      if (!global.GeoUtil || !GeoUtil.sunTimes) return { eta, warning: null };
+
+      // Twilight of the destination's local day (its time zone), so
+      // late-evening arrivals aren't checked against the next UTC day.
+      const offset = GeoUtil.localTime(to.lat, to.lon, eta).offsetHours;
+      const localDay = new Date(eta.getTime() + offset * 3600000);
+      const sun = GeoUtil.sunTimes(to.lat, to.lon, localDay);
+
+      let warning = null;
+      if (sun.civilDusk && eta > sun.civilDusk) {
+        warning = `Arrival ${formatUtc(eta)} is after civil dusk at ${to.label} (${formatUtc(sun.civilDusk)}).`;
+      } else if (sun.civilDawn && eta < sun.civilDawn) {
+        warning = `Arrival ${formatUtc(eta)} is before civil dawn at ${to.label} (${formatUtc(sun.civilDawn)}).`;
+      } else if (!sun.civilDawn && sun.polar === 'night') {
+        warning = `No civil daylight at ${to.label} on the arrival date.`;
+      }
+      return { eta, warning };
+    }
+
     // -------------------------------------------------------------------------
     // Arrow drawing (screen-space, zoom-aware, line-length aware)
     // -------------------------------------------------------------------------
@@ -214,6 +269,7 @@
           elements.result.textContent =
             'Enter both endpoints (ICAO or coordinates).';
         }
+        setWarning('');
         clearGraphics();
         return;
       }
@@ -222,10 +278,19 @@
       const to = resolveEndpoint(toInput);
 
       if (!from || !to) {
+        // Airports may still be streaming in; retry once everything is indexed.
+        if (global.Search && Search.complete === false && Search.ready) {
+          if (elements.result) {
+            elements.result.textContent = 'Loading airports…';
+          }
+          Search.ready().then(compute);
+          return;
+        }
         if (elements.result) {
           elements.result.textContent =
             'Could not resolve one or both endpoints.';
         }
+        setWarning('');
         clearGraphics();
         return;
       }
@@ -239,13 +304,30 @@
       const bearingDeg = initialBearing(lat1, lon1, lat2, lon2);
       const bearingStr = formatBearing(bearingDeg);
 
+      // Magnetic bearing uses the variation at the departure point.
+      const variation = global.Magnetic
+        ? Magnetic.declination(lat1, lon1, new Date())
+        : null;
+      const magneticStr = variation !== null
+        ? formatBearing(Magnetic.toMagnetic(bearingDeg, variation))
+        : null;
+
       const distStr = dNm.toLocaleString(undefined, { maximumFractionDigits: 1 });
       const text =
-        `${from.label} → ${to.label}: ${distStr} nm @ ${bearingStr}`;
+        `${from.label} → ${to.label}: ${distStr} nm @ ${bearingStr}T` +
+        (magneticStr ? ` / ${magneticStr}M` : '');
+
+      const arrival = arrivalCheck(to, dNm);
+
+      // "CYVR resolved from IRL ICAO ..." for endpoints typed as aliases
+      const notes = [from.note, to.note].filter(Boolean);
 
       if (elements.result) {
-        elements.result.textContent = text;
+        elements.result.textContent =
+          text + (arrival ? `, ETA ${formatUtc(arrival.eta)}` : '') +
+          (notes.length ? ` (${notes.join('; ')})` : '');
       }
+      setWarning(arrival && arrival.warning);
 
       // Draw line
       clearGraphics();
@@ -270,9 +352,9 @@
         <div class="ap-popup ap-distance-popup">
           <div class="ap-header">
             <div class="ap-icao">
-              <span>${from.label || '—'}</span>
+              <span>${GeoUtil.escapeHtml(from.label || '—')}</span>
               <span class="ap-arrow"> &rarr; </span>
-              <span>${to.label || '—'}</span>
+              <span>${GeoUtil.escapeHtml(to.label || '—')}</span>
             </div>
           </div>
           <div class="ap-body">
@@ -282,8 +364,43 @@
             </div>
             <div class="ap-row">
               <div class="ap-label">Initial bearing</div>
-              <div class="ap-value">${bearingStr}</div>
+              <div class="ap-value">${bearingStr} true</div>
             </div>
+            ${
+              magneticStr
+                ? `
+            <div class="ap-row">
+              <div class="ap-label">Magnetic bearing</div>
+              <div class="ap-value">${magneticStr} (var ${Magnetic.format(variation)})</div>
+            </div>`
+                : ''
+            }
+            ${
+              notes.length
+                ? `
+            <div class="ap-row">
+              <div class="ap-label">Resolved</div>
+              <div class="ap-value">${notes.map(GeoUtil.escapeHtml).join('<br>')}</div>
+            </div>`
+                : ''
+            }
+            ${
+              arrival
+                ? `
+            <div class="ap-row">
+              <div class="ap-label">Estimated arrival</div>
+              <div class="ap-value">${formatUtc(arrival.eta)}</div>
+            </div>`
+                : ''
+            }
+            ${
+              arrival && arrival.warning
+                ? `
+            <div class="ap-row">
+              <div class="ap-value distance-warning">${GeoUtil.escapeHtml(arrival.warning)}</div>
+            </div>`
+                : ''
+            }
           </div>
         </div>
       `;
@@ -352,6 +469,7 @@
           if (elements.distFrom) elements.distFrom.value = '';
           if (elements.distTo) elements.distTo.value = '';
           if (elements.result) elements.result.textContent = '';
+          setWarning('');
           clearGraphics();
         });
       }
@@ -366,8 +484,14 @@
         });
       };
 
+      if (global.AirportSuggest) {
+        AirportSuggest.attach(elements.distFrom);
+        AirportSuggest.attach(elements.distTo);
+      }
+
       wireEnter(elements.distFrom);
       wireEnter(elements.distTo);
+      wireEnter(elements.distSpeed);
 
       // Keep arrow size/shape sensible on zoom
       map.on('zoomend', onZoom);
@@ -0,0 +1,97 @@
+// duplicate-overlay.js
+// Optional map overlay for DuplicateCheck: one line per suspect pair, with a
+// popup explaining why the two airports were flagged.
+
+(function (global) {
+  'use strict';
+
+  const DuplicateOverlay = {};
+
+  const KINDS = {
+    'close': { title: 'Co-located airports', color: '#f97316' },
+    'same-name': { title: 'Duplicate name', color: '#7c3aed' },
+    'same-irl': { title: 'Same IRL ICAO', color: '#dc2626' }
+  };
+
+  const { escapeHtml } = global.GeoUtil;
+
+  function pairPopupHtml(pair) {
+    const kind = KINDS[pair.kind] || { title: pair.kind };
+    const end = e => `<div><strong>${escapeHtml(e.icao)}</strong> ${escapeHtml(e.name)}</div>`;
+    return `
+      <div class="ap-popup">
+        <div class="ap-header">
+          <div class="ap-name">${kind.title}</div>
+          <div class="ap-place">${escapeHtml(pair.detail)}</div>
+        </div>
+        <div class="ap-body">
+          <div class="ap-row">
+            <div class="ap-label">Airports</div>
+            <div class="ap-value">${end(pair.a)}${end(pair.b)}</div>
+          </div>
+          <div class="ap-row">
+            <div class="ap-label">Distance</div>
+            <div class="ap-value">${pair.distanceNm.toLocaleString()} nm</div>
+          </div>
+        </div>
+      </div>`;
+  }
+
+  // elements = { button }
+  DuplicateOverlay.create = function create(map, elements) {
+    let features = [];
+    let layer = null;
+    let active = false;
+
+    function clear() {
+      if (layer) {
+        layer.remove();
+        layer = null;
+      }
+    }
+
+    function draw() {
+      clear();
+      if (!active || !global.DuplicateCheck) return;
+
+      const result = DuplicateCheck.find(features);
+      const lines = result.pairs.map(pair => {
+        const kind = KINDS[pair.kind] || { color: '#111827' };
+        return L.polyline(
+          [[pair.a.lat, pair.a.lon], [pair.b.lat, pair.b.lon]],
+          { color: kind.color, weight: 3, opacity: 0.85, dashArray: '6,4' }
+        ).bindPopup(pairPopupHtml(pair));
+      });
+      layer = L.layerGroup(lines).addTo(map);
+
+      if (elements.button) {
+        const s = result.summary;
+        elements.button.title =
+          `${s.close} co-located, ${s.sameName} same name, ${s.sameIrl} same IRL ICAO`;
+      }
+    }
+
+    function setActive(on) {
+      active = on;
+      if (elements.button) {
+        elements.button.setAttribute('aria-pressed', String(on));
+        elements.button.classList.toggle('active', on);
+      }
+      draw();
+    }
+
+    // Called with each data batch; only recomputes while the overlay is on.
+    function setFeatures(list) {
+      features = Array.isArray(list) ? list : [];
+      if (active) draw();
+    }
+
+    if (elements.button) {
+      elements.button.addEventListener('click', () => setActive(!active));
+    }
+
+    return { setFeatures, setActive };
+  };
+
+  global.DuplicateOverlay = DuplicateOverlay;
+})(window);
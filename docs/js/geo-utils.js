@@ -1,5 +1,5 @@
 // geo-utils.js
-// Shared geographic utilities (lat/lon parsing + distance)
+// Shared geographic utilities (lat/lon parsing + distance) and HTML escaping
 
 (function (global) {
   'use strict';
@@ -197,5 +197,103 @@ function parseLatLon(text) {
     return R * c;
   }
 
-  global.GeoUtil = { parseLatLon, haversineNm };
+  // --- Sun times ------------------------------------------------------------
+  // Sunrise equation with a low-precision solar ephemeris (about a minute of
+  // error outside the polar regions), after the NOAA / suncalc approach.
+
+  const DAY_MS = 86400000;
+  const J1970 = 2440588;
+  const J2000 = 2451545;
+  const J0 = 0.0009;
+  const OBLIQUITY = 23.4397 * Math.PI / 180;
+
+  // Sun altitudes (degrees) that define each event.
+  const SUN_EVENTS = [
+    { rise: 'civilDawn', set: 'civilDusk', altitude: -6 },
+    { rise: 'sunrise', set: 'sunset', altitude: -0.833 }
+  ];
+
+  const toDays = ms => ms / DAY_MS - 0.5 + J1970 - J2000;
+  const fromJulian = j => new Date((j + 0.5 - J1970) * DAY_MS);
+
+  // Sunrise, sunset and civil twilight on a calendar day at a position.
+  // `date` picks the day (its UTC year/month/day; defaults to today); the
+  // solar day used is the one whose local noon falls on it. Returns
+  // { civilDawn, sunrise, sunset, civilDusk } as Dates, plus `polar`:
+  // 'day' or 'night' when the sun never sets or never rises (the missing
+  // events are then null).
+  function sunTimes(lat, lon, date) {
+    const d = date instanceof Date ? date : new Date(date == null ? Date.now() : date);
+    const rad = Math.PI / 180;
+    const lw = -lon * rad;
+    const phi = lat * rad;
+
+    const localNoon = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), 12) -
+      (lon / 15) * 3600000;
+    const n = Math.round(toDays(localNoon) - J0 - lw / (2 * Math.PI));
+    const ds = J0 + lw / (2 * Math.PI) + n;
+
+    const M = rad * (357.5291 + 0.98560028 * ds);
+    const C = rad * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    const L = M + C + rad * 102.9372 + Math.PI;
+    const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+    const noon = J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+
+    const out = { civilDawn: null, sunrise: null, sunset: null, civilDusk: null, polar: null };
+    for (const ev of SUN_EVENTS) {
+      const cosW = (Math.sin(ev.altitude * rad) - Math.sin(phi) * Math.sin(dec)) /
+        (Math.cos(phi) * Math.cos(dec));
+      if (cosW < -1 || cosW > 1) {
+        if (ev.rise === 'sunrise') out.polar = cosW < -1 ? 'day' : 'night';
+        continue;
+      }
+      const halfDay = Math.acos(cosW) / (2 * Math.PI);
+      out[ev.rise] = fromJulian(noon - halfDay);
+      out[ev.set] = fromJulian(noon + halfDay);
+    }
+    return out;
+  }
+
+  // Whole-hour UTC offset implied by longitude (15° per hour). Only an
+  // approximation of the local time zone, so label it as such.
+  function approxUtcOffset(lon) {
+    const h = Math.round(lon / 15);
+    return h === 0 ? 0 : h; // avoid -0
+  }
+
+  // UTC offset in hours of an IANA time zone at `date` ("GMT+05:30" -> 5.5).
+  function zoneOffset(zone, date) {
+    const part = new Intl.DateTimeFormat('en-US', { timeZone: zone, timeZoneName: 'longOffset' })
+      .formatToParts(date)
+      .find(p => p.type === 'timeZoneName');
+    const m = part && /GMT([+-])(\d{2}):(\d{2})/.exec(part.value.replace('\u2212', '-'));
+    if (!m) return 0; // plain "GMT"
+    return (m[1] === '-' ? -1 : 1) * (Number(m[2]) + Number(m[3]) / 60);
+  }
+
+  // Local time at a point on `date`: { offsetHours, zone } from the time
+  // zone boundaries (js/vendor/tz-lookup.js) and Intl, including
+  // daylight saving. Without them, the longitude estimate with zone null.
+  function localTime(lat, lon, date) {
+    if (typeof global.tzlookup === 'function') {
+      try {
+        const zone = global.tzlookup(lat, lon);
+        return { offsetHours: zoneOffset(zone, date), zone };
+      } catch (err) {
+        // bad coordinates or unknown zone: fall through to the estimate
+      }
+    }
+    return { offsetHours: approxUtcOffset(lon), zone: null };
+  }
+
+  // Text for HTML content and attribute values.
+  function escapeHtml(v) {
+    return String(v ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  global.GeoUtil = { parseLatLon, haversineNm, sunTimes, approxUtcOffset, localTime, escapeHtml };
 })(window);
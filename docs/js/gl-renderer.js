@@ -56,6 +56,60 @@
     };
   }
 
+  // --- sun times (popup) -----------------------------------------------------
+  const SUN_ROWS = [
+    ['civilDawn', 'Civil dawn'],
+    ['sunrise', 'Sunrise'],
+    ['sunset', 'Sunset'],
+    ['civilDusk', 'Civil dusk']
+  ];
+
+  function pad2(n) {
+    return String(n).padStart(2, '0');
+  }
+
+  // "UTC", "UTC+8", "UTC−3:30"
+  function formatOffset(h) {
+    if (h === 0) return 'UTC';
+    const mins = Math.round(Math.abs(h) * 60);
+    const hm = mins % 60 ? `${Math.floor(mins / 60)}:${pad2(mins % 60)}` : String(mins / 60);
+    return `UTC${h > 0 ? '+' : '−'}${hm}`;
+  }
+
+  // "HH:MMZ · HH:MM" for a Date, the second at offsetHours from UTC.
+  function formatSunTime(date, offsetHours) {
+    if (!date) return '—';
+    const local = new Date(date.getTime() + offsetHours * 3600000);
+    return `${pad2(date.getUTCHours())}:${pad2(date.getUTCMinutes())}Z · ` +
+      `${pad2(local.getUTCHours())}:${pad2(local.getUTCMinutes())}`;
+  }
+
+  // GeoUtil loads after this file, so look it up when a popup is built.
+  function escapeHtml(v) {
+    return global.GeoUtil.escapeHtml(v);
+  }
+
+  // Rows for the sun times on a YYYY-MM-DD day at lat/lon.
+  function sunTimesHtml(lat, lon, day) {
+    const G = global.GeoUtil;
+    const t = G.sunTimes(lat, lon, new Date(day + 'T00:00:00Z'));
+    const local = G.localTime(lat, lon, new Date(day + 'T12:00:00Z'));
+    const offset = local.offsetHours;
+    const note = t.polar === 'day'
+      ? '<div class="ap-sun-note">Sun does not set</div>'
+      : t.polar === 'night'
+        ? '<div class="ap-sun-note">Sun does not rise</div>'
+        : '';
+    return note + SUN_ROWS.map(([key, label]) => `
+      <div class="ap-sun-row">
+        <span class="ap-sun-label">${label}</span>
+        <span>${formatSunTime(t[key], offset)}</span>
+      </div>`).join('') +
+      (local.zone
+        ? `<div class="ap-sun-note">Local ${formatOffset(offset)} (${escapeHtml(local.zone)})</div>`
+        : `<div class="ap-sun-note">Local ≈ ${formatOffset(offset)} (approx., from longitude)</div>`);
+  }
+
    // --- click handler (popup) -------------------------------------------------
   function handleClick(e, feature, xy) {
     if (!feature || feature.type !== 'Feature') return;
@@ -70,7 +124,12 @@
     const icaoCorrect = !!p.icaoCorrect;
 
     const name = p.name || '';
-    const place = [p.city, p.state, p.country].filter(Boolean).join(', ');
+    const R = global.Regions;
+    const stateText = (p.stateCode && R && R.stateName(p.stateCode)) || p.state;
+    const countryText = (p.countryCode && R && R.countryName(p.countryCode)) || p.country;
+    const flag = p.countryCode && R ? R.flag(p.countryCode) : '';
+    const place = [p.city, stateText, countryText].filter(Boolean).join(', ') +
+      (flag ? ` ${flag}` : '');
 
     let icaoLine = fseIcao || '—';
 
@@ -93,6 +152,68 @@
     }
 
     const servicesText = formatLocalServices();
+
+    // Sun times for today (UTC date); the popup's date input re-renders them
+    const today = new Date().toISOString().slice(0, 10);
+    const sunHtml = global.GeoUtil && global.GeoUtil.sunTimes
+      ? `<input type="date" class="ap-sun-date" value="${today}" aria-label="Date for sun times" />
+         <div class="ap-sun-times">${sunTimesHtml(lat, lng, today)}</div>`
+      : '';
+
+    // Local magnetic variation today (elevation as altitude)
+    const variation = global.Magnetic
+      ? Magnetic.declination(lat, lng, new Date(), p.elev)
+      : null;
+
+    // IRL match candidates for unmapped airports (build --irl-reference)
+    const candidatesHtml = !hasReal && Array.isArray(p.irlCandidates) && p.irlCandidates.length
+      ? p.irlCandidates.map(c => {
+          const pct = Math.round((Number(c.confidence) || 0) * 100);
+          return `<div class="ap-candidate"><strong>${escapeHtml(c.code)}</strong> ${escapeHtml(c.name || '')}
+            <span class="ap-candidate-meta">${c.distanceNm} nm · ${pct}%</span></div>`;
+        }).join('')
+      : '';
+
+    // Per-runway data (only present when the build used --runways)
+    const runwaysHtml = Array.isArray(p.runways) && p.runways.length
+      ? p.runways.map(r => {
+          const dims = r.length
+            ? `${Number(r.length).toLocaleString()}${r.width ? ` × ${r.width}` : ''} ft`
+            : '';
+          const parts = [
+            r.heading != null ? `${String(r.heading).padStart(3, '0')}°` : '',
+            dims,
+            r.surface ? escapeHtml(r.surface) : '',
+            r.lighted ? 'lit' : '',
+            r.closed ? 'closed' : ''
+          ].filter(Boolean).join(' · ');
+          const cls = r.closed ? 'ap-runway ap-runway-closed' : 'ap-runway';
+          return `<div class="${cls}"><strong>${escapeHtml(r.ident || '—')}</strong> ${parts}</div>`;
+        }).join('')
+      : '';
+
+    // OurAirports enrichment (only present when the build used --ourairports);
+    // external text, so escaped
+    const otherCodes = escapeHtml([
+      p.iata ? `IATA ${p.iata}` : '',
+      p.gpsCode && p.gpsCode !== irlIcao ? `GPS ${p.gpsCode}` : '',
+      p.localCode && p.localCode !== p.iata ? `Local ${p.localCode}` : '',
+      Array.isArray(p.formerCodes) && p.formerCodes.length
+        ? `Formerly ${p.formerCodes.join(', ')}`
+        : ''
+    ].filter(Boolean).join(', '));
+    const altNamesText = Array.isArray(p.altNames) ? escapeHtml(p.altNames.join(', ')) : '';
+    const homeLinkHtml = /^https?:\/\//i.test(p.homeLink || '')
+      ? `<a href="${encodeURI(p.homeLink)}" target="_blank" rel="noopener">Website</a>`
+      : '';
+
+    // Decoded services code: labels of the capabilities this airport has.
+    // Hidden when the dataset has no capabilities or this code was unknown.
+    const capabilities = (global.Search && global.Search.capabilities) || [];
+    const knownCaps = capabilities.filter(c => typeof p[c.property] === 'boolean');
+    const capabilityText = knownCaps.length
+      ? knownCaps.filter(c => p[c.property]).map(c => c.label).join(', ') || 'None'
+      : null;
     const elevText = Number.isFinite(p.elev) ? `${p.elev} ft` : '—';
     const longestText = p.longestRwy
       ? `${Number(p.longestRwy).toLocaleString()} ft`
@@ -162,10 +283,84 @@
     }
             </div>
           </div>
+          ${
+            capabilityText !== null
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Services</div>
+            <div class="ap-value">${capabilityText}</div>
+          </div>`
+              : ''
+          }
           <div class="ap-row">
             <div class="ap-label">Local Services</div>
             <div class="ap-value">${servicesText}</div>
           </div>
+          ${
+            candidatesHtml
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Possible IRL match</div>
+            <div class="ap-value">${candidatesHtml}</div>
+          </div>`
+              : ''
+          }
+          ${
+            runwaysHtml
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Runways</div>
+            <div class="ap-value">${runwaysHtml}</div>
+          </div>`
+              : ''
+          }
+          ${
+            otherCodes
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Other codes</div>
+            <div class="ap-value">${otherCodes}</div>
+          </div>`
+              : ''
+          }
+          ${
+            altNamesText
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Also known as</div>
+            <div class="ap-value">${altNamesText}</div>
+          </div>`
+              : ''
+          }
+          ${
+            typeof p.scheduledService === 'boolean'
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Scheduled service</div>
+            <div class="ap-value">${p.scheduledService ? 'Yes' : 'No'}${
+              homeLinkHtml ? ` · ${homeLinkHtml}` : ''
+            }</div>
+          </div>`
+              : ''
+          }
+          ${
+            variation !== null
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Magnetic variation</div>
+            <div class="ap-value">${Magnetic.format(variation)}</div>
+          </div>`
+              : ''
+          }
+          ${
+            sunHtml
+              ? `
+          <div class="ap-row">
+            <div class="ap-label">Sun</div>
+            <div class="ap-value ap-sun">${sunHtml}</div>
+          </div>`
+              : ''
+          }
           <div class="ap-row">
             <div class="ap-label">Coordinates</div>
             <div class="ap-value">${lat} ${lng}</div>
@@ -184,7 +379,16 @@
       </div>
     `;
 
-    L.popup().setLatLng([lat, lng]).setContent(html).openOn(GlRenderer.map);
+    const popup = L.popup().setLatLng([lat, lng]).setContent(html).openOn(GlRenderer.map);
+
+    const dateInput = popup.getElement() && popup.getElement().querySelector('.ap-sun-date');
+    if (dateInput) {
+      dateInput.addEventListener('change', () => {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(dateInput.value)) return;
+        const target = popup.getElement().querySelector('.ap-sun-times');
+        if (target) target.innerHTML = sunTimesHtml(lat, lng, dateInput.value);
+      });
+    }
   }
 
 
@@ -412,6 +616,12 @@ GlRenderer.layers = layers;
   };
 
 
+  // Open the airport popup for a feature, as if its dot had been clicked.
+  GlRenderer.openPopup = function openPopup(feature) {
+    if (!GlRenderer.map) return;
+    handleClick(null, feature, null);
+  };
+
   GlRenderer.fitTo = function fitTo(features) {
     if (!features || !features.length || !GlRenderer.map) return;
     const bounds = L.latLngBounds(
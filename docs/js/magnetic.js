@@ -0,0 +1,244 @@
+// magnetic.js
+// Magnetic variation (declination) from the World Magnetic Model, computed
+// locally so it works offline. Coefficients are WMM2025 (NOAA NCEI / BGS,
+// public domain), valid 2025.0-2030.0; dates outside that range are still
+// computed but drift from the real field.
+
+(function (global) {
+  'use strict';
+
+  const Magnetic = {};
+
+  Magnetic.MODEL = 'WMM2025';
+  Magnetic.VALID_FROM = 2025.0;
+  Magnetic.VALID_UNTIL = 2030.0;
+
+  const EPOCH = 2025.0;
+  const MAX_DEGREE = 12;
+
+  // [n, m, g, h, gDot, hDot]: main field (nT) and secular variation (nT/yr)
+  // in the layout of the model's WMM.COF file.
+  const COEFFICIENTS = [
+    [1, 0, -29351.8, 0, 12, 0],
+    [1, 1, -1410.8, 4545.4, 9.7, -21.5],
+    [2, 0, -2556.6, 0, -11.6, 0],
+    [2, 1, 2951.1, -3133.6, -5.2, -27.7],
+    [2, 2, 1649.3, -815.1, -8, -12.1],
+    [3, 0, 1361, 0, -1.3, 0],
+    [3, 1, -2404.1, -56.6, -4.2, 4],
+    [3, 2, 1243.8, 237.5, 0.4, -0.3],
+    [3, 3, 453.6, -549.5, -15.6, -4.1],
+    [4, 0, 895, 0, -1.6, 0],
+    [4, 1, 799.5, 278.6, -2.4, -1.1],
+    [4, 2, 55.7, -133.9, -6, 4.1],
+    [4, 3, -281.1, 212, 5.6, 1.6],
+    [4, 4, 12.1, -375.6, -7, -4.4],
+    [5, 0, -233.2, 0, 0.6, 0],
+    [5, 1, 368.9, 45.4, 1.4, -0.5],
+    [5, 2, 187.2, 220.2, 0, 2.2],
+    [5, 3, -138.7, -122.9, 0.6, 0.4],
+    [5, 4, -142, 43, 2.2, 1.7],
+    [5, 5, 20.9, 106.1, 0.9, 1.9],
+    [6, 0, 64.4, 0, -0.2, 0],
+    [6, 1, 63.8, -18.4, -0.4, 0.3],
+    [6, 2, 76.9, 16.8, 0.9, -1.6],
+    [6, 3, -115.7, 48.8, 1.2, -0.4],
+    [6, 4, -40.9, -59.8, -0.9, 0.9],
+    [6, 5, 14.9, 10.9, 0.3, 0.7],
+    [6, 6, -60.7, 72.7, 0.9, 0.9],
+    [7, 0, 79.5, 0, 0, 0],
+    [7, 1, -77, -48.9, -0.1, 0.6],
+    [7, 2, -8.8, -14.4, -0.1, 0.5],
+    [7, 3, 59.3, -1, 0.5, -0.8],
+    [7, 4, 15.8, 23.4, -0.1, 0],
+    [7, 5, 2.5, -7.4, -0.8, -1],
+    [7, 6, -11.1, -25.1, -0.8, 0.6],
+    [7, 7, 14.2, -2.3, 0.8, -0.2],
+    [8, 0, 23.2, 0, -0.1, 0],
+    [8, 1, 10.8, 7.1, 0.2, -0.2],
+    [8, 2, -17.5, -12.6, 0, 0.5],
+    [8, 3, 2, 11.4, 0.5, -0.4],
+    [8, 4, -21.7, -9.7, -0.1, 0.4],
+    [8, 5, 16.9, 12.7, 0.3, -0.5],
+    [8, 6, 15, 0.7, 0.2, -0.6],
+    [8, 7, -16.8, -5.2, 0, 0.3],
+    [8, 8, 0.9, 3.9, 0.2, 0.2],
+    [9, 0, 4.6, 0, 0, 0],
+    [9, 1, 7.8, -24.8, -0.1, -0.3],
+    [9, 2, 3, 12.2, 0.1, 0.3],
+    [9, 3, -0.2, 8.3, 0.3, -0.3],
+    [9, 4, -2.5, -3.3, -0.3, 0.3],
+    [9, 5, -13.1, -5.2, 0, 0.2],
+    [9, 6, 2.4, 7.2, 0.3, -0.1],
+    [9, 7, 8.6, -0.6, -0.1, -0.2],
+    [9, 8, -8.7, 0.8, 0.1, 0.4],
+    [9, 9, -12.9, 10, -0.1, 0.1],
+    [10, 0, -1.3, 0, 0.1, 0],
+    [10, 1, -6.4, 3.3, 0, 0],
+    [10, 2, 0.2, 0, 0.1, 0],
+    [10, 3, 2, 2.4, 0.1, -0.2],
+    [10, 4, -1, 5.3, 0, 0.1],
+    [10, 5, -0.6, -9.1, -0.3, -0.1],
+    [10, 6, -0.9, 0.4, 0, 0.1],
+    [10, 7, 1.5, -4.2, -0.1, 0],
+    [10, 8, 0.9, -3.8, -0.1, -0.1],
+    [10, 9, -2.7, 0.9, 0, 0.2],
+    [10, 10, -3.9, -9.1, 0, 0],
+    [11, 0, 2.9, 0, 0, 0],
+    [11, 1, -1.5, 0, 0, 0],
+    [11, 2, -2.5, 2.9, 0, 0.1],
+    [11, 3, 2.4, -0.6, 0, 0],
+    [11, 4, -0.6, 0.2, 0, 0.1],
+    [11, 5, -0.1, 0.5, -0.1, 0],
+    [11, 6, -0.6, -0.3, 0, 0],
+    [11, 7, -0.1, -1.2, 0, 0.1],
+    [11, 8, 1.1, -1.7, -0.1, 0],
+    [11, 9, -1, -2.9, -0.1, 0],
+    [11, 10, -0.2, -1.8, -0.1, 0],
+    [11, 11, 2.6, -2.3, -0.1, 0],
+    [12, 0, -2, 0, 0, 0],
+    [12, 1, -0.2, -1.3, 0, 0],
+    [12, 2, 0.3, 0.7, 0, 0],
+    [12, 3, 1.2, 1, 0, -0.1],
+    [12, 4, -1.3, -1.4, 0, 0.1],
+    [12, 5, 0.6, 0, 0, 0],
+    [12, 6, 0.6, 0.6, 0.1, 0],
+    [12, 7, 0.5, -0.1, 0, 0],
+    [12, 8, -0.1, 0.8, 0, 0],
+    [12, 9, -0.4, 0.1, 0, 0],
+    [12, 10, -0.2, -1, -0.1, 0],
+    [12, 11, -1.3, 0.1, 0, 0],
+    [12, 12, -0.7, 0.2, -0.1, -0.1]
+  ];
+
+  // WGS84 ellipsoid and the model's reference radius, km.
+  const WGS84_A = 6378.137;
+  const WGS84_F = 1 / 298.257223563;
+  const WGS84_E2 = WGS84_F * (2 - WGS84_F);
+  const REFERENCE_RADIUS = 6371.2;
+  const KM_PER_FT = 0.0003048;
+
+  const toRad = d => (d * Math.PI) / 180;
+  const toDeg = r => (r * 180) / Math.PI;
+
+  // Schmidt semi-normalization factors, S[n][m].
+  const SCHMIDT = (function () {
+    const s = [[1]];
+    for (let n = 1; n <= MAX_DEGREE; n++) {
+      s[n] = [s[n - 1][0] * (2 * n - 1) / n];
+      for (let m = 1; m <= n; m++) {
+        s[n][m] = s[n][m - 1] * Math.sqrt((n - m + 1) * (m === 1 ? 2 : 1) / (n + m));
+      }
+    }
+    return s;
+  })();
+
+  function decimalYear(date) {
+    const d = date instanceof Date ? date : new Date(date == null ? Date.now() : date);
+    const year = d.getUTCFullYear();
+    const start = Date.UTC(year, 0, 1);
+    const end = Date.UTC(year + 1, 0, 1);
+    return year + (d.getTime() - start) / (end - start);
+  }
+
+  // Associated Legendre functions P[n][m](cos theta) and their derivatives
+  // with respect to colatitude theta, Gauss-normalized (scaled by SCHMIDT
+  // when summed).
+  function legendre(cosTheta, sinTheta) {
+    const p = [[1]];
+    const dp = [[0]];
+    for (let n = 1; n <= MAX_DEGREE; n++) {
+      p[n] = [];
+      dp[n] = [];
+      for (let m = 0; m <= n; m++) {
+        if (m === n) {
+          p[n][m] = sinTheta * p[n - 1][m - 1];
+          dp[n][m] = sinTheta * dp[n - 1][m - 1] + cosTheta * p[n - 1][m - 1];
+        } else {
+          const k = n > 1 && m <= n - 2
+            ? ((n - 1) * (n - 1) - m * m) / ((2 * n - 1) * (2 * n - 3))
+            : 0;
+          const p2 = k ? p[n - 2][m] : 0;
+          const dp2 = k ? dp[n - 2][m] : 0;
+          p[n][m] = cosTheta * p[n - 1][m] - k * p2;
+          dp[n][m] = cosTheta * dp[n - 1][m] - sinTheta * p[n - 1][m] - k * dp2;
+        }
+      }
+    }
+    return { p, dp };
+  }
+
+  // Field components in nT at a geodetic position: X north, Y east, Z down.
+  // altitudeKm is height above the WGS84 ellipsoid.
+  Magnetic.field = function field(lat, lon, date, altitudeKm) {
+    const h = altitudeKm || 0;
+    const t = decimalYear(date) - EPOCH;
+
+    // Geodetic to geocentric spherical coordinates.
+    const phi = toRad(lat);
+    const sinPhi = Math.sin(phi);
+    const rc = WGS84_A / Math.sqrt(1 - WGS84_E2 * sinPhi * sinPhi);
+    const xp = (rc + h) * Math.cos(phi);
+    const zp = (rc * (1 - WGS84_E2) + h) * sinPhi;
+    const r = Math.sqrt(xp * xp + zp * zp);
+    const phiC = Math.asin(zp / r);
+
+    const cosTheta = Math.sin(phiC);
+    // Keep 1/sin(theta) finite at the poles, where declination is undefined.
+    const sinTheta = Math.max(Math.cos(phiC), 1e-10);
+    const lambda = toRad(lon);
+    const { p, dp } = legendre(cosTheta, sinTheta);
+
+    let bx = 0; // north, spherical frame
+    let by = 0; // east
+    let bz = 0; // down
+    for (const [n, m, g0, h0, gDot, hDot] of COEFFICIENTS) {
+      const g = (g0 + t * gDot) * SCHMIDT[n][m];
+      const hh = (h0 + t * hDot) * SCHMIDT[n][m];
+      const ratio = Math.pow(REFERENCE_RADIUS / r, n + 2);
+      const cosM = Math.cos(m * lambda);
+      const sinM = Math.sin(m * lambda);
+      const gh = g * cosM + hh * sinM;
+
+      bx += ratio * gh * dp[n][m];
+      by += ratio * m * (g * sinM - hh * cosM) * p[n][m] / sinTheta;
+      bz -= ratio * (n + 1) * gh * p[n][m];
+    }
+
+    // Rotate from the geocentric back to the geodetic frame.
+    const psi = phiC - phi;
+    return {
+      x: bx * Math.cos(psi) - bz * Math.sin(psi),
+      y: by,
+      z: bx * Math.sin(psi) + bz * Math.cos(psi)
+    };
+  };
+
+  // Magnetic variation in degrees, east positive. date defaults to now,
+  // altitudeFt to sea level.
+  Magnetic.declination = function declination(lat, lon, date, altitudeFt) {
+    if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+    const f = Magnetic.field(lat, lon, date, (altitudeFt || 0) * KM_PER_FT);
+    return toDeg(Math.atan2(f.y, f.x));
+  };
+
+  Magnetic.isValid = function isValid(date) {
+    const y = decimalYear(date);
+    return y >= Magnetic.VALID_FROM && y < Magnetic.VALID_UNTIL;
+  };
+
+  // Magnetic bearing for a true bearing and a variation (east positive).
+  Magnetic.toMagnetic = function toMagnetic(trueDeg, declination) {
+    return ((trueDeg - declination) % 360 + 360) % 360;
+  };
+
+  // "15.2° E" / "3.0° W".
+  Magnetic.format = function format(declination) {
+    if (!Number.isFinite(declination)) return '—';
+    const abs = Math.abs(declination).toFixed(1);
+    if (abs === '0.0') return '0.0°';
+    return `${abs}° ${declination > 0 ? 'E' : 'W'}`;
+  };
+
+  global.Magnetic = Magnetic;
+})(window);
@@ -0,0 +1,508 @@
+// query-syntax.js
+// Structured search box queries, e.g.
+//   country:canada surface:grass rwy>3000 near:CYVR/150 fuel:yes -type:military
+// parsed into Search.filter options (and written back from them, so the
+// search box and the filter panel stay in sync).
+//
+// Terms are `key:value` or `key<op>number` (op one of > >= < <= =); a
+// leading `-` negates a term. Values may be comma-separated lists (OR) and
+// double-quoted when they contain spaces. Words that are not terms are the
+// free-text search. A bare `OR` starts another filter group; airports
+// matching any group are shown (the free text applies to all of them), e.g.
+//   surface:grass state:alaska OR surface:gravel country:canada
+// A negated facet (-type:military) puts that facet in exclude mode. Keys:
+//   country, state, type, size, surface   facets (codes or names)
+//   has                                   services, e.g. has:jeta
+//   rwy                                   longest runway, ft
+//   elev, size, lat, lon                  numeric ranges, e.g. elev>5000,
+//                                         size>=2000, lat:40-50
+//   runways                               number of open runways
+//   hdg                                   runway heading[/tolerance]
+//   rwylen, rwysurface                    length / surface of that runway
+//   near                                  center/nm: ICAO or "lat,lon"
+//   irl                                   correct | incorrect | none
+//   fuel, mx                              yes | no (local services)
+
+(function (global) {
+  'use strict';
+
+  const QuerySyntax = {};
+
+  const DEFAULT_HEADING_TOL = 15;
+
+  const KEY_ALIASES = {
+    c: 'country',
+    st: 'state',
+    surf: 'surface',
+    service: 'has',
+    heading: 'hdg',
+    radius: 'near',
+    elevation: 'elev',
+    latitude: 'lat',
+    longitude: 'lon'
+  };
+
+  const FACETS = {
+    country: 'countrySel',
+    state: 'stateSel',
+    type: 'typeSel',
+    size: 'sizeSel',
+    surface: 'surfaceSel'
+  };
+
+  // Filter option -> Search.filter `facetModes` key
+  const FACET_MODES = {
+    countrySel: 'country',
+    stateSel: 'state',
+    typeSel: 'type',
+    sizeSel: 'size',
+    surfaceSel: 'surface',
+    capabilitySel: 'capability'
+  };
+
+  const TYPES = ['civil', 'military', 'water'];
+  const SIZES = ['small', 'medium', 'large'];
+  const IRL_STATUSES = ['correct', 'incorrect', 'none'];
+
+  const NUMERIC = {
+    rwy: { min: 'rwyMin', max: 'rwyMax' },
+    runways: { min: 'rwyCountMin', max: 'rwyCountMax' },
+    rwylen: { min: 'rwyMatchMinLen' }
+  };
+
+  // Search.filter `ranges` fields; `step` is the smallest difference
+  // between values, so elev>100 is elev>=101. Coordinates have none: lat<50
+  // is lat<=50.
+  const RANGES = {
+    elev: { step: 1 },
+    size: { step: 1 },
+    lat: { step: 0 },
+    lon: { step: 0 }
+  };
+
+  const KEYS = Object.keys(FACETS).concat(
+    ['has', 'hdg', 'rwysurface', 'near', 'irl', 'fuel', 'mx'],
+    Object.keys(NUMERIC),
+    Object.keys(RANGES)
+  );
+
+  const NUMBER = '-?\\d+(?:\\.\\d+)?';
+  const RANGE_RE = new RegExp(`^(${NUMBER})-(${NUMBER})$`);
+
+  const TERM_RE = /^(-?)([a-z]+)(:|>=|<=|>|<|=)(.*)$/i;
+
+  // Split on whitespace outside double quotes, keeping offsets.
+  function tokenize(text) {
+    const tokens = [];
+    const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+    let m;
+    while ((m = re.exec(text))) {
+      tokens.push({ raw: m[0], start: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+  }
+
+  function unquote(s) {
+    return s.replace(/"/g, '');
+  }
+
+  function quoteIfNeeded(s) {
+    return /\s/.test(s) ? `"${s}"` : s;
+  }
+
+  function splitList(value) {
+    return unquote(value)
+      .split(',')
+      .map(v => v.trim())
+      .filter(Boolean);
+  }
+
+  function normalizeKey(s) {
+    return String(s || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  }
+
+  // --- value resolution (against the loaded dataset where possible) ---------
+
+  function resolveCountry(v) {
+    const R = global.Regions;
+    const code = R && R.countryCode(v);
+    if (code) return code.toLowerCase();
+    const S = global.Search;
+    const k = v.toLowerCase();
+    if (S && S.indexesBuilt && S.countries().includes(k)) return k;
+    return null;
+  }
+
+  function resolveState(v, countries) {
+    const S = global.Search;
+    const k = v.toLowerCase();
+    const states = S && S.indexesBuilt ? S.states() : [];
+    if (states.includes(k)) return k;
+    const byLabel = states.find(s => S.stateLabel(s).toLowerCase() === k);
+    if (byLabel) return byLabel;
+    const R = global.Regions;
+    for (const c of countries) {
+      const code = R && R.stateCode(c, v);
+      if (code) return code.toLowerCase();
+    }
+    return null;
+  }
+
+  function resolveSurface(v) {
+    const S = global.Search;
+    const k = v.toLowerCase();
+    if (!S || !S.indexesBuilt) return k;
+    return S.surfaces().includes(k) ? k : null;
+  }
+
+  // has:jeta / has:hasJetA / has:"jet-a fuel" -> capability property.
+  function resolveCapability(v) {
+    const caps = (global.Search && global.Search.capabilities) || [];
+    const k = normalizeKey(v);
+    const cap = caps.find(c => {
+      const prop = normalizeKey(c.property);
+      return k === prop || k === prop.replace(/^has/, '') || k === normalizeKey(c.label);
+    });
+    return cap ? cap.property : null;
+  }
+
+  function capabilityKey(property) {
+    return normalizeKey(property).replace(/^has/, '');
+  }
+
+  // Center of near: (ICAO, alias or coordinates), as
+  // { radiusCenter, radiusCenterLat, radiusCenterLon }.
+  function resolveCenter(text) {
+    const S = global.Search;
+    const hit = S && S.resolve && S.resolve(text);
+    const coords = hit && hit.feature.geometry && hit.feature.geometry.coordinates;
+    if (coords) {
+      return { radiusCenter: text.toUpperCase(), radiusCenterLat: coords[1], radiusCenterLon: coords[0] };
+    }
+    const c = global.GeoUtil && global.GeoUtil.parseLatLon(text);
+    if (c) return { radiusCenter: text, radiusCenterLat: c.lat, radiusCenterLon: c.lon };
+    return null;
+  }
+
+  // --- term parsing ------------------------------------------------------------
+
+  // One key term -> filter options, or throws an Error with the message.
+  function termOptions(key, op, value, include) {
+    if (value === '') throw new Error(`"${key}" needs a value`);
+
+    // size:small is the bucket facet, size>2000 / size:1000-3000 a range
+    if (RANGES[key] && (key !== 'size' || op !== ':' || /^-?\d/.test(value))) {
+      return { ranges: { [key]: rangeBounds(key, op, value, RANGES[key].step) } };
+    }
+
+    if (FACETS[key]) {
+      if (op !== ':' && op !== '=') throw new Error(`Use ${key}:value`);
+      const values = splitList(value).map(v => {
+        let r;
+        if (key === 'country') r = resolveCountry(v);
+        else if (key === 'state') r = resolveState(v, include.countrySel || []);
+        else if (key === 'type') r = TYPES.includes(v.toLowerCase()) ? v.toLowerCase() : null;
+        else if (key === 'size') r = SIZES.includes(v.toLowerCase()) ? v.toLowerCase() : null;
+        else r = resolveSurface(v);
+        if (!r) throw new Error(`Unknown ${key} "${v}"`);
+        return r;
+      });
+      return { [FACETS[key]]: values };
+    }
+
+    if (NUMERIC[key]) {
+      const fields = NUMERIC[key];
+      const range = op === ':' && /^(\d+)-(\d+)$/.exec(value);
+      if (range) {
+        if (!fields.max) throw new Error(`Use ${key}>=number`);
+        return { [fields.min]: Number(range[1]), [fields.max]: Number(range[2]) };
+      }
+      const n = Number(value);
+      if (value.trim() === '' || !Number.isFinite(n)) {
+        throw new Error(`"${value}" is not a number`);
+      }
+      if (!fields.max && op !== '>=' && op !== '>' && op !== ':') {
+        throw new Error(`Use ${key}>=number`);
+      }
+      switch (op) {
+        case '>': return { [fields.min]: n + 1 };
+        case '>=': return { [fields.min]: n };
+        case '<': return { [fields.max]: n - 1 };
+        case '<=': return { [fields.max]: n };
+        default: return fields.max ? { [fields.min]: n, [fields.max]: n } : { [fields.min]: n };
+      }
+    }
+
+    if (op !== ':' && op !== '=') throw new Error(`Use ${key}:value`);
+    const v = unquote(value).trim();
+
+    switch (key) {
+      case 'has': {
+        const props = splitList(value).map(c => {
+          const prop = resolveCapability(c);
+          if (!prop) throw new Error(`Unknown service "${c}"`);
+          return prop;
+        });
+        return { capabilitySel: props };
+      }
+      case 'hdg': {
+        const m = /^(\d{1,3})(?:\/(\d{1,2}))?$/.exec(v);
+        if (!m || Number(m[1]) > 360) throw new Error(`Use hdg:090 or hdg:090/10`);
+        return { rwyHeading: Number(m[1]), rwyHeadingTol: m[2] ? Number(m[2]) : '' };
+      }
+      case 'rwysurface':
+        return { rwyMatchSurface: v };
+      case 'near': {
+        const m = /^(.+)\/(\d+(?:\.\d+)?)$/.exec(v);
+        if (!m) throw new Error('Use near:ICAO/nm, e.g. near:CYVR/150');
+        const center = resolveCenter(m[1].trim());
+        if (!center) throw new Error(`Unknown airport or coordinates "${m[1]}"`);
+        return { ...center, radiusNm: Number(m[2]) };
+      }
+      case 'irl': {
+        const s = v.toLowerCase();
+        if (!IRL_STATUSES.includes(s)) throw new Error(`Use irl:${IRL_STATUSES.join('|')}`);
+        return { irlStatus: s };
+      }
+      case 'fuel':
+      case 'mx': {
+        const s = v.toLowerCase();
+        if (s !== 'yes' && s !== 'no') throw new Error(`Use ${key}:yes or ${key}:no`);
+        return { [key === 'fuel' ? 'requireLocalFuel' : 'requireLocalMx']: true, _yes: s === 'yes' };
+      }
+    }
+    throw new Error(`Unknown filter "${key}"`);
+  }
+
+  function rangeBounds(key, op, value, step) {
+    const range = op === ':' && RANGE_RE.exec(value);
+    if (range) return { min: Number(range[1]), max: Number(range[2]) };
+    const n = Number(value);
+    if (value.trim() === '' || !Number.isFinite(n)) {
+      throw new Error(`"${value}" is not a number`);
+    }
+    switch (op) {
+      case '>': return { min: n + step };
+      case '>=': return { min: n };
+      case '<': return { max: n - step };
+      case '<=': return { max: n };
+      default: return { min: n, max: n };
+    }
+  }
+
+  // Merge a term's options into the include set: lists accumulate (OR),
+  // range bounds combine (elev>100 elev<200), everything else is replaced by
+  // the later term.
+  function mergeInto(target, opts) {
+    for (const [k, v] of Object.entries(opts)) {
+      if (k === 'ranges') {
+        target.ranges = target.ranges || {};
+        for (const [field, r] of Object.entries(v)) {
+          target.ranges[field] = { ...target.ranges[field], ...r };
+        }
+      } else if (Array.isArray(v)) {
+        target[k] = Array.from(new Set((target[k] || []).concat(v)));
+      } else {
+        target[k] = v;
+      }
+    }
+  }
+
+  // Whether the text uses any key terms (or negated words, or OR).
+  QuerySyntax.isStructured = function isStructured(text) {
+    return tokenize(String(text || '')).some(t =>
+      TERM_RE.test(t.raw) || /^-\S/.test(t.raw) || t.raw === 'OR');
+  };
+
+  function newGroup() {
+    return { include: {}, exclude: [], negated: [], negatedFacets: [], terms: 0 };
+  }
+
+  // Negated facet terms: exclude mode for the facet when the group has no
+  // positive terms for it, else plain exclusions ("type:civil -type:water").
+  function finishGroup(g) {
+    for (const { sel, values, raw } of g.negatedFacets) {
+      const positive = g.include[sel] && g.include[sel].length &&
+        !(g.include.facetModes && g.include.facetModes[FACET_MODES[sel]]);
+      if (positive) {
+        // "-has:a,b": without either, not "without both".
+        values.forEach(v => g.exclude.push({ [sel]: [v] }));
+        g.negated.push(raw);
+      } else {
+        mergeInto(g.include, { [sel]: values });
+        g.include.facetModes = { ...g.include.facetModes, [FACET_MODES[sel]]: 'exclude' };
+      }
+    }
+    return { include: g.include, exclude: g.exclude, negated: g.negated };
+  }
+
+  // Returns {
+  //   include,  filter options from the positive terms (plus radiusCenter,
+  //             the center as typed, for the panel) and facetModes
+  //   exclude,  Search.filter `exclude` entries for the other negated terms
+  //   negated,  those negated terms as typed
+  //   groups,   [{ include, exclude, negated }], one per OR group; the
+  //             fields above are the first group's
+  //   text,     the free-text words
+  //   errors,   [{ start, end, message }] offsets into the input
+  //   structured
+  // }. Terms with errors are left out; the rest still apply.
+  QuerySyntax.parse = function parse(input) {
+    const text = String(input || '');
+    const groups = [newGroup()];
+    const words = [];
+    const errors = [];
+    let structured = false;
+    let lastOr = null;
+
+    for (const tok of tokenize(text)) {
+      let g = groups[groups.length - 1];
+
+      if (tok.raw === 'OR') {
+        structured = true;
+        if (!g.terms) {
+          errors.push({ start: tok.start, end: tok.end, message: 'OR needs filters on both sides' });
+        } else {
+          groups.push(newGroup());
+        }
+        lastOr = tok;
+        continue;
+      }
+
+      if ((tok.raw.match(/"/g) || []).length % 2) {
+        errors.push({ start: tok.start, end: tok.end, message: 'Missing closing quote' });
+        continue;
+      }
+
+      const m = TERM_RE.exec(tok.raw);
+      const isTerm = m && (KEYS.includes(m[2].toLowerCase()) || KEY_ALIASES[m[2].toLowerCase()]);
+
+      if (!isTerm) {
+        if (m && m[3] === ':' && /^[a-z]+$/i.test(m[2]) && m[4] !== '') {
+          errors.push({ start: tok.start, end: tok.end, message: `Unknown filter "${m[2]}"` });
+          structured = true;
+        } else if (/^-\S/.test(tok.raw)) {
+          // Negated free text: drop airports matching the word.
+          g.exclude.push({ q: unquote(tok.raw.slice(1)) });
+          g.negated.push(tok.raw);
+          g.terms++;
+          structured = true;
+        } else {
+          words.push(unquote(tok.raw));
+        }
+        continue;
+      }
+
+      structured = true;
+      g.terms++;
+      const isNegated = m[1] === '-';
+      const key = KEY_ALIASES[m[2].toLowerCase()] || m[2].toLowerCase();
+      let opts;
+      try {
+        opts = termOptions(key, m[3], m[4], g.include);
+      } catch (err) {
+        errors.push({ start: tok.start, end: tok.end, message: err.message });
+        continue;
+      }
+
+      // fuel:no / mx:no are negations of fuel:yes / mx:yes.
+      let negate = isNegated;
+      if ('_yes' in opts) {
+        if (!opts._yes) negate = !negate;
+        delete opts._yes;
+      }
+
+      if (!negate) {
+        mergeInto(g.include, opts);
+        continue;
+      }
+      const sel = Object.keys(opts).find(k => FACET_MODES[k]);
+      if (sel) {
+        g.negatedFacets.push({ sel, values: opts[sel], raw: tok.raw });
+      } else {
+        g.exclude.push(opts);
+        g.negated.push(tok.raw);
+      }
+    }
+
+    if (groups.length > 1 && !groups[groups.length - 1].terms) {
+      groups.pop();
+      errors.push({ start: lastOr.start, end: lastOr.end, message: 'OR needs filters on both sides' });
+    }
+
+    const finished = groups.map(finishGroup);
+    return {
+      include: finished[0].include,
+      exclude: finished[0].exclude,
+      negated: finished[0].negated,
+      groups: finished,
+      text: words.join(' '),
+      errors,
+      structured
+    };
+  };
+
+  // Query text for filter options (the panel's state, with radiusCenter as
+  // typed), followed by the raw negated terms and the free text.
+  QuerySyntax.stringify = function stringify(opts, excludeRaw, freeText) {
+    const o = opts || {};
+    const terms = [];
+    const modes = o.facetModes || {};
+    const list = (key, values, mode) => {
+      if (!values || !values.length) return;
+      const not = modes[mode || key] === 'exclude' ? '-' : '';
+      terms.push(`${not}${key}:${values.map(quoteIfNeeded).join(',')}`);
+    };
+    const has = v => v !== '' && v !== null && v !== undefined;
+    const range = (key, min, max) => {
+      if (has(min) && has(max)) {
+        terms.push(Number(min) === Number(max) ? `${key}:${min}` : `${key}:${min}-${max}`);
+        return;
+      }
+      if (has(min)) terms.push(`${key}>=${min}`);
+      if (has(max)) terms.push(`${key}<=${max}`);
+    };
+
+    list('country', o.countrySel);
+    list('state', o.stateSel);
+    list('type', o.typeSel);
+    list('size', o.sizeSel);
+    list('surface', o.surfaceSel);
+    list('has', (o.capabilitySel || []).map(capabilityKey), 'capability');
+    range('rwy', o.rwyMin, o.rwyMax);
+    range('runways', o.rwyCountMin, o.rwyCountMax);
+    for (const [field, r] of Object.entries(o.ranges || {})) {
+      if (r) range(field, r.min, r.max);
+    }
+    if (has(o.rwyHeading)) {
+      const tol = has(o.rwyHeadingTol) && Number(o.rwyHeadingTol) !== DEFAULT_HEADING_TOL
+        ? `/${o.rwyHeadingTol}`
+        : '';
+      terms.push(`hdg:${String(o.rwyHeading).padStart(3, '0')}${tol}`);
+    }
+    if (has(o.rwyMatchMinLen)) terms.push(`rwylen>=${o.rwyMatchMinLen}`);
+    if (has(o.rwyMatchSurface)) terms.push(`rwysurface:${quoteIfNeeded(String(o.rwyMatchSurface))}`);
+    if (has(o.radiusCenter) && has(o.radiusNm)) {
+      terms.push(`near:${quoteIfNeeded(String(o.radiusCenter))}/${o.radiusNm}`);
+    }
+    if (o.irlStatus && o.irlStatus !== 'any') terms.push(`irl:${o.irlStatus}`);
+    if (o.requireLocalFuel) terms.push('fuel:yes');
+    if (o.requireLocalMx) terms.push('mx:yes');
+
+    return terms
+      .concat(excludeRaw || [])
+      .concat(freeText ? [freeText] : [])
+      .join(' ');
+  };
+
+  // Query text for OR groups, [{ opts, negated }] as for stringify(); empty
+  // groups are left out.
+  QuerySyntax.stringifyGroups = function stringifyGroups(groups, freeText) {
+    const parts = (groups || [])
+      .map(g => QuerySyntax.stringify(g.opts, g.negated, ''))
+      .filter(Boolean);
+    return parts.join(' OR ') + (freeText ? `${parts.length ? ' ' : ''}${freeText}` : '');
+  };
+
+  global.QuerySyntax = QuerySyntax;
+})(window);
@@ -14,13 +14,75 @@
     };
   }
 
+  const PAGE_SIZE = 25;
+
+  // Range sliders (RangeSlider) for Search.filter `ranges`; `clip` trims
+  // outliers off the histogram. The runway slider mirrors rwyMin / rwyMax.
+  const HISTOGRAM_BINS = 40;
+  const hemisphere = (pos, neg) => v => `${Math.abs(v)}°${v < 0 ? neg : pos}`;
+  const RANGE_SLIDERS = [
+    { field: 'elev', element: 'elevRange', label: 'Elevation (ft)', step: 100, clip: 0.005 },
+    { field: 'size', element: 'sizeRange', label: 'Size', step: 100, clip: 0.005 },
+    { field: 'rwy', element: 'rwyRange', label: 'Longest runway (ft)', step: 100, clip: 0.005 },
+    { field: 'lat', element: 'latRange', label: 'Latitude', step: 1, format: hemisphere('N', 'S') },
+    { field: 'lon', element: 'lonRange', label: 'Longitude', step: 1, format: hemisphere('E', 'W') }
+  ];
+
+  // Extra CSV columns, after ICAO / name / place / lat / lon
+  const CSV_FIELDS = ['type', 'size', 'longestRwy', 'elev', 'surfaceType'];
+
+  function csvCell(v) {
+    const s = v === null || v === undefined ? '' : String(v);
+    return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  }
+
+  // Short, readable download name hinting at the filter, e.g.
+  // "airports_country-US_type-heliport.csv". Lossy (awkward characters become
+  // "_", long expressions are cut short): the exact expression is in the file.
+  function csvFileName(expr) {
+    const slug = String(expr || '')
+      .replace(/:/g, '-')
+      .replace(/[^A-Za-z0-9.,+-]+/g, '_')
+      .replace(/^_+|_+$/g, '')
+      .slice(0, 60);
+    return slug ? `airports_${slug}.csv` : 'airports.csv';
+  }
+
   QueryUI.create = function create(map, elements) {
     let allFeatures = [];
     let searchQuery = ''; // committed text search
     let coordMarker = null;
     let highlightLayer = null;
     let radiusCircle = null;
-    let activeFeatures = [];
+    let activeFeatures = [];   // in display order (see applySort)
+    let unsortedFeatures = [];  // relevance / file order from Search.filter
+    let lastParams = null;
+    let resultsPage = 0;
+
+    const sliders = {}; // field -> RangeSlider
+
+    // Filter groups combined with OR: [{ opts, exclude, negated }]. The
+    // panel (plus queryExcludes / queryNegated) edits groups[activeGroup];
+    // that entry is only brought up to date by currentGroup().
+    let groups = [emptyGroup()];
+    let activeGroup = 0;
+    let facetModes = {}; // facet -> 'exclude' for the panel's group
+
+    // ?q= from the page URL, applied once the whole dataset is indexed.
+    let pendingUrlQuery = readUrlQuery();
+
+    // Bumped by every zoom to results (and by user pans), so a zoom waiting
+    // for the remaining tiles only runs if nothing has superseded it.
+    let zoomRequest = 0;
+
+    // Structured query state (QuerySyntax): negated terms become Search.filter
+    // `exclude` entries; positive terms live in the panel controls.
+    let structuredQuery = false;
+
+    // "CYVR, resolved from IRL ICAO ..." when the radius center was an alias
+    let radiusNote = '';
+    let queryExcludes = [];
+    let queryNegated = [];
 
     function buildCoordPopupHtml(lat, lon) {
       const latStr = Number.isFinite(lat) ? lat.toFixed(6) : String(lat);
@@ -54,8 +116,9 @@
 
       if (elements.count) {
         const n = shown;
+        const loading = Search.complete === false ? ' (loading…)' : '';
         elements.count.textContent =
-          `${n.toLocaleString()} shown of ${total.toLocaleString()}`;
+          `${n.toLocaleString()} shown of ${total.toLocaleString()}${loading}`;
       }
 
       if (elements.copyIcaos) {
@@ -63,6 +126,136 @@
         const enable = shown > 0 && shown < total;
         btn.disabled = !enable;
       }
+
+      if (elements.exportCsv) {
+        elements.exportCsv.disabled = !(shown > 0);
+      }
+    }
+
+    // --- sorted results ------------------------------------------------------
+
+    // Search.sort keys from the "Sort by" / "then" selects; [] = relevance.
+    function sortSpec() {
+      return [elements.sortBy, elements.sortThen]
+        .map(sel => (sel ? sel.value : ''))
+        .filter(Boolean);
+    }
+
+    // Distance is measured from the radius center, else from the map center
+    // at the time of sorting (panning does not reorder the list).
+    function sortFrom(p) {
+      const area = radiusAreas(p)[0];
+      if (area) return { lat: area.lat, lon: area.lon };
+      if (!map) return null;
+      const c = map.getCenter();
+      return { lat: c.lat, lon: c.lng };
+    }
+
+    function applySort() {
+      const sort = sortSpec();
+      activeFeatures = sort.length
+        ? Search.sort(unsortedFeatures, sort, sortFrom(lastParams))
+        : unsortedFeatures;
+      resultsPage = 0;
+      renderResults();
+    }
+
+    // Right-hand column of a results row: the value being sorted on.
+    function resultValue(f, key, from) {
+      const p = f.properties || {};
+      switch (key.replace(/^-/, '')) {
+        case 'distance': {
+          const c = f.geometry && f.geometry.coordinates;
+          if (!from || !c || !global.GeoUtil) return '';
+          return `${Math.round(GeoUtil.haversineNm(from.lat, from.lon, c[1], c[0])).toLocaleString()} nm`;
+        }
+        case 'rwy':
+          return p.longestRwy ? `${Number(p.longestRwy).toLocaleString()} ft rwy` : '';
+        case 'elev':
+          return p.elev !== null && p.elev !== undefined && p.elev !== ''
+            ? `${Number(p.elev).toLocaleString()} ft`
+            : '';
+        case 'size':
+          return p.size ? Number(p.size).toLocaleString() : '';
+        default:
+          return [p.city, p.countryCode || p.country].filter(Boolean).join(', ');
+      }
+    }
+
+    function renderResults() {
+      const list = elements.resultsList;
+      if (!list) return;
+
+      const total = activeFeatures.length;
+      const pages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+      resultsPage = Math.min(Math.max(resultsPage, 0), pages - 1);
+      const start = resultsPage * PAGE_SIZE;
+      const page = activeFeatures.slice(start, start + PAGE_SIZE);
+      const key = sortSpec()[0] || '';
+      const from = key.replace(/^-/, '') === 'distance' ? sortFrom(lastParams) : null;
+
+      list.textContent = '';
+      list.start = start + 1;
+      page.forEach(f => {
+        const p = f.properties || {};
+        const li = document.createElement('li');
+        const label = document.createElement('span');
+        const code = document.createElement('strong');
+        code.textContent = String(p.icao || '').toUpperCase();
+        label.appendChild(code);
+        label.appendChild(document.createTextNode(' ' + (p.name || '')));
+        const value = document.createElement('span');
+        value.className = 'results-value';
+        value.textContent = resultValue(f, key, from);
+        li.appendChild(label);
+        li.appendChild(value);
+        li.addEventListener('click', () => showFeature(f));
+        list.appendChild(li);
+      });
+
+      if (elements.resultsRange) {
+        elements.resultsRange.textContent = total
+          ? `${(start + 1).toLocaleString()}–${(start + page.length).toLocaleString()} of ${total.toLocaleString()}`
+          : 'No airports';
+      }
+      if (elements.resultsPrev) elements.resultsPrev.disabled = resultsPage === 0;
+      if (elements.resultsNext) elements.resultsNext.disabled = resultsPage >= pages - 1;
+    }
+
+    function showFeature(f) {
+      const c = f.geometry && f.geometry.coordinates;
+      if (!map || !c) return;
+      map.setView([c[1], c[0]], Math.max(map.getZoom(), 10));
+      if (GlRenderer.openPopup) GlRenderer.openPopup(f);
+    }
+
+    // When a filter is set, the first line is a one-cell metadata row,
+    // "# Filter: <expression>" (QuerySyntax, the same text as ?q=), quoted
+    // like any other cell so the whole expression survives; the header row
+    // follows, then one row per airport. Without a filter the header is first.
+    function exportCsv() {
+      if (!activeFeatures.length) return;
+      const expr = expressionText();
+      const header = ['icao', 'name', 'city', 'state', 'country', 'lat', 'lon', ...CSV_FIELDS];
+      const rows = activeFeatures.map(f => {
+        const p = f.properties || {};
+        const c = (f.geometry && f.geometry.coordinates) || [];
+        return [
+          String(p.icao || '').toUpperCase(), p.name, p.city, p.state, p.country,
+          c[1], c[0], ...CSV_FIELDS.map(k => p[k])
+        ].map(csvCell).join(',');
+      });
+      const meta = expr ? [csvCell(`# Filter: ${expr}`)] : [];
+      const lines = meta.concat(header.join(','), rows);
+      const blob = new Blob([lines.join('\n') + '\n'], { type: 'text/csv' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = csvFileName(expr);
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
     }
 
     function zoomToCoords(lat, lon) {
@@ -81,6 +274,13 @@
       // Note: popup does NOT auto-open; user clicks the balloon
     }
 
+    function checkedCapabilities() {
+      if (!elements.capabilities) return [];
+      return Array.from(
+        elements.capabilities.querySelectorAll('input[type="checkbox"]:checked')
+      ).map(cb => cb.value);
+    }
+
     function selectedValues(selectEl) {
       if (!selectEl) return [];
       return Array.from(selectEl.selectedOptions)
@@ -96,18 +296,28 @@
         typeSel: selectedValues(elements.type),
         sizeSel: selectedValues(elements.size),
         surfaceSel: selectedValues(elements.surface),
-        servicesSel: selectedValues(elements.services),
+        capabilitySel: checkedCapabilities(),
         rwyMin: elements.rwyMin ? elements.rwyMin.value : '',
         rwyMax: elements.rwyMax ? elements.rwyMax.value : '',
+        rwyCountMin: elements.rwyCountMin ? elements.rwyCountMin.value : '',
+        rwyCountMax: elements.rwyCountMax ? elements.rwyCountMax.value : '',
+        rwyHeading: elements.rwyHeading ? elements.rwyHeading.value : '',
+        rwyHeadingTol: elements.rwyHeadingTol ? elements.rwyHeadingTol.value : '',
+        rwyMatchMinLen: elements.rwyMatchLen ? elements.rwyMatchLen.value : '',
+        rwyMatchSurface: elements.rwyMatchSurface ? elements.rwyMatchSurface.value : '',
         irlStatus: elements.irlStatus ? elements.irlStatus.value : 'any',
         requireLocalFuel: elements.localFuel ? elements.localFuel.checked : false,
-        requireLocalMx: elements.localMx ? elements.localMx.checked : false
+        requireLocalMx: elements.localMx ? elements.localMx.checked : false,
+        ranges: sliderRanges(),
+        facetModes: { ...facetModes },
+        exclude: queryExcludes
       };
 
       // Radius center & radius (nm)
       let centerLat = null;
       let centerLon = null;
       let radiusNm = null;
+      radiusNote = '';
 
       const centerText = elements.radiusCenter
         ? elements.radiusCenter.value.trim()
@@ -124,15 +334,19 @@
 
           let resolved = null;
 
-          // Try ICAO first
-          if (global.Search && typeof global.Search.byIcao === 'function') {
-            const feature = global.Search.byIcao(centerText.toUpperCase());
+          // Try ICAO (or an alias: IRL ICAO, IATA, former code, name) first
+          if (global.Search && typeof global.Search.resolve === 'function') {
+            const hit = global.Search.resolve(centerText);
+            const feature = hit && hit.feature;
             if (feature &&
                 feature.geometry &&
                 Array.isArray(feature.geometry.coordinates)) {
               const [lon, lat] = feature.geometry.coordinates;
               if (Number.isFinite(lat) && Number.isFinite(lon)) {
                 resolved = { lat, lon };
+                if (hit.alias) {
+                  radiusNote = `${String(feature.properties.icao).toUpperCase()}, ${hit.alias.note}`;
+                }
               }
             }
           }
@@ -145,6 +359,19 @@
             }
           }
 
+          // Then the best ranked name / code match, noted when it is only a
+          // fuzzy (misspelt) one
+          if (!resolved && global.Search && typeof global.Search.query === 'function') {
+            const best = global.Search.query(centerText, { limit: 1 })[0];
+            const c = best && best.feature.geometry && best.feature.geometry.coordinates;
+            if (c && Number.isFinite(c[1]) && Number.isFinite(c[0])) {
+              resolved = { lat: c[1], lon: c[0] };
+              if (best.match === 'fuzzy') {
+                radiusNote = `${String(best.feature.properties.icao).toUpperCase()}, resolved from closest match to "${centerText}"`;
+              }
+            }
+          }
+
           if (resolved) {
             centerLat = resolved.lat;
             centerLon = resolved.lon;
@@ -165,7 +392,16 @@
     // Render base (filtered) set and highlight rings for text matches.
     // Returns the "active" subset (highlight matches if searchQuery present, else base).
     function render() {
-      const p = params();
+      let urlQueryApplied = false;
+      if (pendingUrlQuery !== null && Search.complete !== false) {
+        const q = pendingUrlQuery;
+        pendingUrlQuery = null;
+        if (elements.search) elements.search.value = q;
+        commitSearchText(q);
+        urlQueryApplied = true;
+      }
+
+      const p = filterParams();
 
       // Base: apply all filters, but ignore text search `q`
       const baseParams = { ...p, q: '' };
@@ -216,67 +452,480 @@
         radiusCircle.remove();
         radiusCircle = null;
       }
-      if (p.radiusCenterLat != null &&
-          p.radiusCenterLon != null &&
-          p.radiusNm != null) {
-        const radiusMeters = p.radiusNm * 1852; // 1 nm = 1852 m
-        radiusCircle = L.circle(
-          [p.radiusCenterLat, p.radiusCenterLon],
-          {
-            radius: radiusMeters,
-            color: '#ff00ff',
-            weight: 1.5,
-            fill: false,
-            dashArray: '4,4',
-            opacity: 0.7
-          }
-        ).addTo(map);
+      const circles = radiusAreas(p).map(a => L.circle(
+        [a.lat, a.lon],
+        {
+          radius: a.nm * 1852, // 1 nm = 1852 m
+          color: '#ff00ff',
+          weight: 1.5,
+          fill: false,
+          dashArray: '4,4',
+          opacity: 0.7
+        }
+      ));
+      if (circles.length) {
+        radiusCircle = L.layerGroup(circles).addTo(map);
+      }
+
+      if (elements.radiusNote) {
+        elements.radiusNote.textContent = radiusNote;
+        elements.radiusNote.classList.toggle('hidden', !radiusNote);
       }
 
       const active = highlight && highlight.length ? highlight : base;
-      activeFeatures = active;
+      unsortedFeatures = active;
+      lastParams = p;
+      applySort();
       updateCount(active.length);
-      return active;
+      updateUrl();
+
+      // A ?q= query is applied on the render of the final batch; zoom to its
+      // results after that batch is handled, so the app's initial fit to all
+      // airports doesn't replace the view.
+      if (urlQueryApplied) {
+        const request = ++zoomRequest;
+        const subset = activeFeatures;
+        Promise.resolve().then(() => {
+          if (request === zoomRequest) zoomToResults(subset);
+        });
+      }
+      return activeFeatures;
+    }
+
+    // Replace the data-driven options of a select, keeping the static
+    // "All" option and whatever the user already selected. Called again as
+    // more data streams in, so it must be idempotent.
+    function fillSelect(selectEl, values, label) {
+      const selected = new Set(selectedValues(selectEl));
+      Array.from(selectEl.options)
+        .filter(o => o.value !== '')
+        .forEach(o => o.remove());
+
+      const frag = document.createDocumentFragment();
+      for (const v of values) {
+        const o = document.createElement('option');
+        o.value = v;
+        o.textContent = label(v);
+        o.selected = selected.has(v);
+        frag.appendChild(o);
+      }
+      selectEl.appendChild(frag);
     }
 
     function populateSelects() {
-      // Country
+      // Country (flag + display name; values are ISO codes where known)
       if (elements.country) {
-        const opts = Search.countries();
-        const frag = document.createDocumentFragment();
-        for (const c of opts) {
-          const o = document.createElement('option');
-          o.value = c;
-          o.textContent = c.toUpperCase();
-          frag.appendChild(o);
-        }
-        elements.country.appendChild(frag);
+        const flag = c => (global.Regions ? global.Regions.flag(c) : '');
+        fillSelect(elements.country, Search.countries(), c =>
+          [flag(c), Search.countryLabel(c)].filter(Boolean).join(' ')
+        );
       }
 
       // State / region
       if (elements.state) {
         const opts = Search.states ? Search.states() : [];
-        const frag = document.createDocumentFragment();
-        for (const s of opts) {
-          const o = document.createElement('option');
-          o.value = s;
-          o.textContent = String(s).toUpperCase();
-          frag.appendChild(o);
-        }
-        elements.state.appendChild(frag);
+        fillSelect(elements.state, opts, s => Search.stateLabel(s));
       }
 
       // Surface types
       if (elements.surface) {
-        const opts = Search.surfaces();
-        const frag = document.createDocumentFragment();
-        for (const s of opts) {
-          const o = document.createElement('option');
-          o.value = s;
-          o.textContent = String(s);
-          frag.appendChild(o);
+        fillSelect(elements.surface, Search.surfaces(), s => String(s));
+      }
+
+      fillCapabilities(Search.capabilities || []);
+
+      // Histograms under the range sliders
+      for (const cfg of RANGE_SLIDERS) {
+        if (sliders[cfg.field]) {
+          sliders[cfg.field].setHistogram(Search.histogram(cfg.field, HISTOGRAM_BINS, cfg.clip));
         }
-        elements.surface.appendChild(frag);
+      }
+    }
+
+    // --- range sliders -------------------------------------------------------
+
+    // Search.filter `ranges` from the sliders (runway goes through rwyMin /
+    // rwyMax instead).
+    function sliderRanges() {
+      const ranges = {};
+      for (const [field, slider] of Object.entries(sliders)) {
+        if (field !== 'rwy' && slider.isSet()) ranges[field] = slider.value();
+      }
+      return ranges;
+    }
+
+    function syncRunwaySlider() {
+      if (!sliders.rwy) return;
+      sliders.rwy.setValue({
+        min: elements.rwyMin ? elements.rwyMin.value : '',
+        max: elements.rwyMax ? elements.rwyMax.value : ''
+      });
+    }
+
+    function setSliders(ranges) {
+      for (const [field, slider] of Object.entries(sliders)) {
+        if (field !== 'rwy') slider.setValue(ranges && ranges[field]);
+      }
+      syncRunwaySlider();
+    }
+
+    // One checkbox per decoded services capability. Rebuilt only when the
+    // list changes, so checked boxes survive streaming batches.
+    function fillCapabilities(caps) {
+      const container = elements.capabilities;
+      if (!container) return;
+
+      const key = caps.map(c => c.property).join(',');
+      if (container.dataset.caps === key) return;
+      container.dataset.caps = key;
+
+      const checked = new Set(checkedCapabilities());
+      container.textContent = '';
+
+      for (const cap of caps) {
+        const label = document.createElement('label');
+        label.className = 'inline';
+        const cb = document.createElement('input');
+        cb.type = 'checkbox';
+        cb.value = cap.property;
+        cb.checked = checked.has(cap.property);
+        cb.addEventListener('change', onPanelChange);
+        label.appendChild(cb);
+        label.appendChild(document.createTextNode(' ' + cap.label));
+        container.appendChild(label);
+      }
+
+      if (!caps.length) {
+        container.textContent = 'Not in this dataset';
+      }
+    }
+
+    // --- structured queries <-> panel ------------------------------------------
+
+    function setSelected(selectEl, values) {
+      if (!selectEl) return;
+      const wanted = new Set((values || []).map(v => String(v).toLowerCase()));
+      Array.from(selectEl.options).forEach(o => {
+        o.selected = wanted.has(String(o.value).toLowerCase());
+      });
+    }
+
+    function setValue(input, value) {
+      if (input) input.value = value === undefined || value === null ? '' : String(value);
+    }
+
+    function resetPanel() {
+      if (elements.country) elements.country.value = '';
+      if (elements.state) elements.state.value = '';
+      if (elements.type) elements.type.value = '';
+      if (elements.size) elements.size.value = '';
+      if (elements.surface) elements.surface.value = '';
+      if (elements.capabilities) {
+        elements.capabilities
+          .querySelectorAll('input[type="checkbox"]')
+          .forEach(cb => { cb.checked = false; });
+      }
+      if (elements.rwyMin) elements.rwyMin.value = '';
+      if (elements.rwyMax) elements.rwyMax.value = '';
+      if (elements.rwyCountMin) elements.rwyCountMin.value = '';
+      if (elements.rwyCountMax) elements.rwyCountMax.value = '';
+      if (elements.rwyHeading) elements.rwyHeading.value = '';
+      if (elements.rwyHeadingTol) elements.rwyHeadingTol.value = '';
+      if (elements.rwyMatchLen) elements.rwyMatchLen.value = '';
+      if (elements.rwyMatchSurface) elements.rwyMatchSurface.value = '';
+      if (elements.radiusCenter) elements.radiusCenter.value = '';
+      if (elements.radiusNm) elements.radiusNm.value = '';
+      if (elements.irlStatus) elements.irlStatus.value = 'any';
+      if (elements.localFuel) elements.localFuel.checked = false;
+      if (elements.localMx) elements.localMx.checked = false;
+      setSliders(null);
+      facetModes = {};
+      updateFacetToggles();
+    }
+
+    // A parsed query replaces the panel state.
+    function applyToPanel(o) {
+      resetPanel();
+      setSelected(elements.country, o.countrySel);
+      setSelected(elements.state, o.stateSel);
+      setSelected(elements.type, o.typeSel);
+      setSelected(elements.size, o.sizeSel);
+      setSelected(elements.surface, o.surfaceSel);
+      if (elements.capabilities) {
+        const caps = new Set(o.capabilitySel || []);
+        elements.capabilities
+          .querySelectorAll('input[type="checkbox"]')
+          .forEach(cb => { cb.checked = caps.has(cb.value); });
+      }
+      setValue(elements.rwyMin, o.rwyMin);
+      setValue(elements.rwyMax, o.rwyMax);
+      setValue(elements.rwyCountMin, o.rwyCountMin);
+      setValue(elements.rwyCountMax, o.rwyCountMax);
+      setValue(elements.rwyHeading, o.rwyHeading);
+      setValue(elements.rwyHeadingTol, o.rwyHeadingTol);
+      setValue(elements.rwyMatchLen, o.rwyMatchMinLen);
+      setValue(elements.rwyMatchSurface, o.rwyMatchSurface);
+      setValue(elements.radiusCenter, o.radiusCenter);
+      setValue(elements.radiusNm, o.radiusNm);
+      if (elements.irlStatus) elements.irlStatus.value = o.irlStatus || 'any';
+      if (elements.localFuel) elements.localFuel.checked = !!o.requireLocalFuel;
+      if (elements.localMx) elements.localMx.checked = !!o.requireLocalMx;
+      setSliders(o.ranges);
+      facetModes = { ...o.facetModes };
+      updateFacetToggles();
+    }
+
+    // Rewrite a structured query in the search box after a panel change.
+    function syncSearchText() {
+      if (!structuredQuery || !elements.search || !global.QuerySyntax) return;
+      elements.search.value = expressionText();
+    }
+
+    // --- OR groups -----------------------------------------------------------
+
+    function emptyGroup() {
+      return { opts: {}, exclude: [], negated: [] };
+    }
+
+    // The panel's group: its filter options with the radius center and
+    // radius as typed (for QuerySyntax.stringify and for reloading).
+    function currentGroup() {
+      const opts = params();
+      opts.radiusCenter = elements.radiusCenter ? elements.radiusCenter.value.trim() : '';
+      opts.radiusNm = elements.radiusNm ? elements.radiusNm.value.trim() : '';
+      delete opts.q;
+      delete opts.exclude;
+      return { opts, exclude: queryExcludes, negated: queryNegated };
+    }
+
+    function allGroups() {
+      return groups.map((g, i) => (i === activeGroup ? currentGroup() : g));
+    }
+
+    function isEmptyGroup(g) {
+      return global.QuerySyntax
+        ? QuerySyntax.stringify(g.opts, g.negated, '') === ''
+        : false;
+    }
+
+    // The whole filter as query text: groups joined with OR, then free text.
+    function expressionText() {
+      if (!global.QuerySyntax) return searchQuery;
+      return QuerySyntax.stringifyGroups(allGroups(), searchQuery);
+    }
+
+    // Search.filter options: the panel alone, or one entry per non-empty
+    // group once there are several.
+    function filterParams() {
+      if (groups.length < 2) return params();
+      return {
+        q: searchQuery,
+        groups: allGroups()
+          .filter(g => !isEmptyGroup(g))
+          .map(g => ({ ...g.opts, exclude: g.exclude }))
+      };
+    }
+
+    // Radius filters in effect: [{ lat, lon, nm }]
+    function radiusAreas(p) {
+      return ((p && p.groups) || [p])
+        .filter(o => o && o.radiusCenterLat != null && o.radiusCenterLon != null &&
+          o.radiusNm != null && o.radiusNm !== '')
+        .map(o => ({ lat: o.radiusCenterLat, lon: o.radiusCenterLon, nm: Number(o.radiusNm) }));
+    }
+
+    function loadGroup(i) {
+      activeGroup = i;
+      const g = groups[i];
+      applyToPanel(g.opts);
+      queryExcludes = g.exclude;
+      queryNegated = g.negated;
+      renderGroupTabs();
+    }
+
+    function selectGroup(i) {
+      if (i === activeGroup) return;
+      groups[activeGroup] = currentGroup();
+      loadGroup(i);
+      render(); // the radius note is the selected group's
+    }
+
+    function addGroup() {
+      groups[activeGroup] = currentGroup();
+      groups.push(emptyGroup());
+      loadGroup(groups.length - 1);
+      // An empty group matches nothing new, so there is nothing to re-render.
+    }
+
+    function removeGroup(i) {
+      groups[activeGroup] = currentGroup();
+      groups.splice(i, 1);
+      if (!groups.length) groups.push(emptyGroup());
+      loadGroup(Math.min(i < activeGroup ? activeGroup - 1 : activeGroup, groups.length - 1));
+      onPanelChange();
+    }
+
+    // "Group 1 × OR Group 2 ×"; hidden while there is only one group.
+    function renderGroupTabs() {
+      const box = elements.groupTabs;
+      if (!box) return;
+      box.textContent = '';
+      if (groups.length < 2) return;
+
+      groups.forEach((g, i) => {
+        if (i) {
+          const or = document.createElement('span');
+          or.className = 'group-or';
+          or.textContent = 'OR';
+          box.appendChild(or);
+        }
+        const tab = document.createElement('span');
+        tab.className = 'group-tab';
+        tab.classList.toggle('active', i === activeGroup);
+
+        const pick = document.createElement('button');
+        pick.type = 'button';
+        pick.textContent = `Group ${i + 1}`;
+        pick.setAttribute('aria-pressed', String(i === activeGroup));
+        pick.addEventListener('click', () => selectGroup(i));
+
+        const remove = document.createElement('button');
+        remove.type = 'button';
+        remove.textContent = '×';
+        remove.title = `Remove group ${i + 1}`;
+        remove.addEventListener('click', () => removeGroup(i));
+
+        tab.appendChild(pick);
+        tab.appendChild(remove);
+        box.appendChild(tab);
+      });
+    }
+
+    // --- facet include / exclude toggles --------------------------------------
+
+    function facetToggles() {
+      return elements.filtersPanel
+        ? Array.from(elements.filtersPanel.querySelectorAll('.facet-mode[data-facet]'))
+        : [];
+    }
+
+    function updateFacetToggles() {
+      facetToggles().forEach(btn => {
+        const exclude = facetModes[btn.dataset.facet] === 'exclude';
+        btn.textContent = exclude ? 'Exclude' : 'Include';
+        btn.classList.toggle('exclude', exclude);
+        btn.setAttribute('aria-pressed', String(exclude));
+      });
+    }
+
+    // --- URL state -------------------------------------------------------------
+
+    function readUrlQuery() {
+      try {
+        const q = new URLSearchParams(global.location.search).get('q');
+        return q && q.trim() ? q.trim() : null;
+      } catch (err) {
+        return null;
+      }
+    }
+
+    // Keep ?q= in step with the filters, so the page can be bookmarked or
+    // shared. Left alone until a ?q= from the page load has been applied.
+    function updateUrl() {
+      if (pendingUrlQuery !== null || !global.history || !global.history.replaceState) return;
+      const url = new URL(global.location.href);
+      const expr = expressionText();
+      if (expr) url.searchParams.set('q', expr);
+      else url.searchParams.delete('q');
+      if (url.href !== global.location.href) {
+        global.history.replaceState(global.history.state, '', url.href);
+      }
+    }
+
+    function onPanelChange() {
+      syncSearchText();
+      render();
+    }
+
+    // Errors, or an informational note (alias resolution) when there are none.
+    function showQueryErrors(errors, text, note) {
+      if (elements.search) {
+        elements.search.setAttribute('aria-invalid', String(errors.length > 0));
+      }
+      if (!elements.searchError) return;
+      const message = errors.length
+        ? errors.map(e => `${text.slice(e.start, e.end)}: ${e.message}`).join(' · ')
+        : note || '';
+      elements.searchError.textContent = message;
+      elements.searchError.classList.toggle('search-error', errors.length > 0);
+      elements.searchError.classList.toggle('hidden', !message);
+    }
+
+    // "EGLL, resolved from IATA LHR" when the text search names one airport
+    // by an alias.
+    function aliasNote(text) {
+      const hit = text && global.Search && global.Search.resolve
+        ? global.Search.resolve(text)
+        : null;
+      return hit && hit.alias
+        ? `${String(hit.feature.properties.icao).toUpperCase()}, ${hit.alias.note}`
+        : '';
+    }
+
+    function clearStructuredQuery() {
+      structuredQuery = false;
+      queryExcludes = [];
+      queryNegated = [];
+      showQueryErrors([], '');
+    }
+
+    // Parse a committed search; structured terms go to the panel and the
+    // exclusions, the rest is the text search.
+    function commitSearchText(value) {
+      const parsed = global.QuerySyntax ? QuerySyntax.parse(value) : null;
+      if (!parsed || !parsed.structured) {
+        clearStructuredQuery();
+        searchQuery = value;
+        showQueryErrors([], value, aliasNote(value));
+        return;
+      }
+
+      structuredQuery = true;
+      searchQuery = parsed.text;
+      groups = parsed.groups.map(g => ({ opts: g.include, exclude: g.exclude, negated: g.negated }));
+      loadGroup(0);
+      showQueryErrors(parsed.errors, value, aliasNote(parsed.text));
+
+      // Select the first bad term so it can be retyped.
+      if (parsed.errors.length && elements.search.setSelectionRange) {
+        elements.search.setSelectionRange(parsed.errors[0].start, parsed.errors[0].end);
+      }
+    }
+
+    // Zoom to a result set: a single airport close up, several fitted.
+    function zoomToResults(subset) {
+      if (!map || !subset || !subset.length) return;
+      if (subset.length > 1) {
+        GlRenderer.fitTo(subset);
+        return;
+      }
+      const c = subset[0].geometry && subset[0].geometry.coordinates;
+      if (c && c.length >= 2) {
+        map.setView([c[1], c[0]], 8);
+      }
+    }
+
+    // Zoom to the results now and, while tiles are still streaming in, once
+    // more when every airport is indexed (Search.ready), so the view covers
+    // matches in tiles that had not arrived yet. A newer zoom or a pan by the
+    // user cancels the pending one.
+    function zoomToResultsWhenLoaded(subset) {
+      const request = ++zoomRequest;
+      zoomToResults(subset);
+      if (Search.complete === false && Search.ready) {
+        Search.ready().then(() => {
+          if (request === zoomRequest) zoomToResults(render());
+        });
       }
     }
 
@@ -287,22 +936,12 @@
       if (!value) {
         // Empty → clear committed search and zoom to filtered set
         searchQuery = '';
+        clearStructuredQuery();
         if (coordMarker) {
           coordMarker.remove();
           coordMarker = null;
         }
-        const subset = render();
-        if (subset && subset.length === 1) {
-          const f = subset[0];
-          const coords = f.geometry && f.geometry.coordinates;
-          if (coords && coords.length >= 2) {
-            const lat = coords[1];
-            const lon = coords[0];
-            map.setView([lat, lon], 8);
-          }
-        } else if (subset && subset.length > 1) {
-          GlRenderer.fitTo(subset);
-        }
+        zoomToResultsWhenLoaded(render());
         return;
       }
 
@@ -312,22 +951,18 @@
         zoomToCoords(coords.lat, coords.lon);
       } else {
         // Not coordinates → commit text query and zoom to results
-        searchQuery = value;
-        const subset = render();
-        if (subset && subset.length === 1) {
-          const f = subset[0];
-          const c = f.geometry && f.geometry.coordinates;
-          if (c && c.length >= 2) {
-            map.setView([c[1], c[0]], 8);
-          }
-        } else if (subset && subset.length > 1) {
-          GlRenderer.fitTo(subset);
-        }
+        commitSearchText(value);
+        zoomToResultsWhenLoaded(render());
       }
     }
 
     // --- UI wiring -----------------------------------------------------------
 
+    if (global.AirportSuggest) {
+      AirportSuggest.attach(elements.search, { onPick: handleSearchEnter });
+      AirportSuggest.attach(elements.radiusCenter);
+    }
+
     if (elements.search) {
       const debouncedRender = debounce(render, 200);
 
@@ -342,6 +977,7 @@
           }
           // Clear committed text query and reset airports
           searchQuery = '';
+          clearStructuredQuery();
           debouncedRender();
         }
         // Note: we do NOT update searchQuery here; Enter commits it
@@ -355,43 +991,95 @@
       });
     }
 
-    if (elements.country) elements.country.addEventListener('change', render);
-    if (elements.state) elements.state.addEventListener('change', render);
-    if (elements.type) elements.type.addEventListener('change', render);
-    if (elements.size) elements.size.addEventListener('change', render);
-    if (elements.surface) elements.surface.addEventListener('change', render);
-    if (elements.services) elements.services.addEventListener('change', render);
-    if (elements.irlStatus) elements.irlStatus.addEventListener('change', render);
-    if (elements.localFuel) elements.localFuel.addEventListener('change', render);
-    if (elements.localMx) elements.localMx.addEventListener('change', render);
-
-    if (elements.rwyMin) elements.rwyMin.addEventListener('input', debounce(render, 200));
-    if (elements.rwyMax) elements.rwyMax.addEventListener('input', debounce(render, 200));
+    if (elements.country) elements.country.addEventListener('change', onPanelChange);
+    if (elements.state) elements.state.addEventListener('change', onPanelChange);
+    if (elements.type) elements.type.addEventListener('change', onPanelChange);
+    if (elements.size) elements.size.addEventListener('change', onPanelChange);
+    if (elements.surface) elements.surface.addEventListener('change', onPanelChange);
+    if (elements.irlStatus) elements.irlStatus.addEventListener('change', onPanelChange);
+    if (elements.localFuel) elements.localFuel.addEventListener('change', onPanelChange);
+    if (elements.localMx) elements.localMx.addEventListener('change', onPanelChange);
+
+    [elements.rwyMin, elements.rwyMax].forEach(input => {
+      if (!input) return;
+      input.addEventListener('input', syncRunwaySlider);
+      input.addEventListener('input', debounce(onPanelChange, 200));
+    });
+
+    if (global.RangeSlider) {
+      const debouncedChange = debounce(onPanelChange, 200);
+      for (const cfg of RANGE_SLIDERS) {
+        const slider = RangeSlider.create(elements[cfg.element], {
+          label: cfg.label,
+          step: cfg.step,
+          format: cfg.format,
+          onChange: v => {
+            if (cfg.field === 'rwy') {
+              setValue(elements.rwyMin, v.min);
+              setValue(elements.rwyMax, v.max);
+            }
+            debouncedChange();
+          }
+        });
+        if (slider) sliders[cfg.field] = slider;
+      }
+    }
+    [
+      elements.rwyCountMin,
+      elements.rwyCountMax,
+      elements.rwyHeading,
+      elements.rwyHeadingTol,
+      elements.rwyMatchLen,
+      elements.rwyMatchSurface
+    ].forEach(input => {
+      if (input) input.addEventListener('input', debounce(onPanelChange, 200));
+    });
 
     // Radius inputs
     if (elements.radiusCenter) {
-      elements.radiusCenter.addEventListener('change', render);
+      elements.radiusCenter.addEventListener('change', onPanelChange);
     }
     if (elements.radiusNm) {
-      elements.radiusNm.addEventListener('input', debounce(render, 200));
+      elements.radiusNm.addEventListener('input', debounce(onPanelChange, 200));
+    }
+
+    facetToggles().forEach(btn => {
+      btn.addEventListener('click', () => {
+        const facet = btn.dataset.facet;
+        if (facetModes[facet] === 'exclude') delete facetModes[facet];
+        else facetModes[facet] = 'exclude';
+        updateFacetToggles();
+        onPanelChange();
+      });
+    });
+
+    if (elements.addGroup) elements.addGroup.addEventListener('click', addGroup);
+
+    if (elements.sortBy) elements.sortBy.addEventListener('change', applySort);
+    if (elements.sortThen) elements.sortThen.addEventListener('change', applySort);
+    if (elements.resultsPrev) {
+      elements.resultsPrev.addEventListener('click', () => {
+        resultsPage -= 1;
+        renderResults();
+      });
+    }
+    if (elements.resultsNext) {
+      elements.resultsNext.addEventListener('click', () => {
+        resultsPage += 1;
+        renderResults();
+      });
     }
 
     if (elements.clear) {
       elements.clear.addEventListener('click', () => {
-        if (elements.country) elements.country.value = '';
-        if (elements.state) elements.state.value = '';
-        if (elements.type) elements.type.value = '';
-        if (elements.size) elements.size.value = '';
-        if (elements.surface) elements.surface.value = '';
-        if (elements.services) elements.services.value = '';
-        if (elements.rwyMin) elements.rwyMin.value = '';
-        if (elements.rwyMax) elements.rwyMax.value = '';
-        if (elements.radiusCenter) elements.radiusCenter.value = '';
-        if (elements.radiusNm) elements.radiusNm.value = '';
-        if (elements.irlStatus) elements.irlStatus.value = 'any';
-        if (elements.localFuel) elements.localFuel.checked = false;
-        if (elements.localMx) elements.localMx.checked = false;
-        // Clear filters only; leave search as-is
+        resetPanel();
+        queryExcludes = [];
+        queryNegated = [];
+        groups = [emptyGroup()];
+        activeGroup = 0;
+        renderGroupTabs();
+        syncSearchText();
+        // Clear filters only; leave the text search as-is
         render();
       });
     }
@@ -421,7 +1109,7 @@
       });
     }
 
-    // Copy ICAO list of currently active airports
+    // Copy ICAO list of currently active airports, in results order
     if (elements.copyIcaos) {
       elements.copyIcaos.addEventListener('click', () => {
         if (!activeFeatures || !activeFeatures.length) return;
@@ -506,6 +1194,14 @@
       });
     }
 
+    if (elements.exportCsv) {
+      elements.exportCsv.addEventListener('click', exportCsv);
+    }
+
+    if (map) {
+      map.on('dragstart', () => { zoomRequest++; });
+    }
+
     wireAccordion();
 
     return {
@@ -0,0 +1,175 @@
+// range-slider.js
+// Dual-handle range control for a numeric filter (Search.filter `ranges`),
+// drawn over a histogram of the field (Search.histogram) so the handles
+// can be placed where the airports actually are. A handle at either end of
+// the track means "no bound" on that side.
+
+(function (global) {
+  'use strict';
+
+  const RangeSlider = {};
+
+  function defaultFormat(v) {
+    return Number(v).toLocaleString();
+  }
+
+  // options = {
+  //   label, step,
+  //   format(value)  -> display text (default: locale number)
+  //   onChange({ min, max })  after the user moves a handle
+  // }
+  RangeSlider.create = function create(container, options) {
+    if (!container) return null;
+    const opts = options || {};
+    const step = opts.step || 1;
+    const format = opts.format || defaultFormat;
+    const onChange = opts.onChange || function () {};
+
+    let domain = { min: 0, max: step };
+    let current = { min: null, max: null };
+    let histogram = null;
+
+    container.classList.add('range-filter');
+    container.textContent = '';
+
+    const head = document.createElement('div');
+    head.className = 'range-filter-head';
+    const label = document.createElement('span');
+    label.textContent = opts.label || '';
+    const readout = document.createElement('span');
+    readout.className = 'range-filter-value';
+    head.appendChild(label);
+    head.appendChild(readout);
+
+    const track = document.createElement('div');
+    track.className = 'range-filter-track';
+    const hist = document.createElement('div');
+    hist.className = 'range-filter-hist';
+    hist.setAttribute('aria-hidden', 'true');
+    track.appendChild(hist);
+
+    const lo = document.createElement('input');
+    const hi = document.createElement('input');
+    [lo, hi].forEach((input, i) => {
+      input.type = 'range';
+      input.step = String(step);
+      input.className = i ? 'range-filter-hi' : 'range-filter-lo';
+      input.setAttribute('aria-label', `${opts.label || 'Range'} ${i ? 'maximum' : 'minimum'}`);
+      track.appendChild(input);
+    });
+
+    container.appendChild(head);
+    container.appendChild(track);
+
+    function clamp(v) {
+      return Math.min(domain.max, Math.max(domain.min, v));
+    }
+
+    function pct(v) {
+      return ((v - domain.min) / (domain.max - domain.min)) * 100;
+    }
+
+    function describe() {
+      const { min, max } = current;
+      if (min === null && max === null) return 'Any';
+      if (min === null) return `≤ ${format(max)}`;
+      if (max === null) return `≥ ${format(min)}`;
+      return min === max ? format(min) : `${format(min)} – ${format(max)}`;
+    }
+
+    // Bars whose bin lies inside the selection are highlighted.
+    function markBars() {
+      if (!histogram) return;
+      const from = current.min === null ? -Infinity : current.min;
+      const to = current.max === null ? Infinity : current.max;
+      const width = (histogram.max - histogram.min) / histogram.counts.length;
+      Array.from(hist.children).forEach((bar, i) => {
+        const start = histogram.min + i * width;
+        bar.classList.toggle('in-range', start + width > from && start <= to);
+      });
+    }
+
+    function sync() {
+      lo.min = hi.min = String(domain.min);
+      lo.max = hi.max = String(domain.max);
+      lo.value = String(current.min === null ? domain.min : clamp(current.min));
+      hi.value = String(current.max === null ? domain.max : clamp(current.max));
+      readout.textContent = describe();
+      markBars();
+    }
+
+    function fromHandles(moved) {
+      let a = Number(lo.value);
+      let b = Number(hi.value);
+      if (a > b) {
+        // Handles can't cross: push the other one along.
+        if (moved === lo) b = a;
+        else a = b;
+        lo.value = String(a);
+        hi.value = String(b);
+      }
+      current = {
+        min: a <= domain.min ? null : a,
+        max: b >= domain.max ? null : b
+      };
+      readout.textContent = describe();
+      markBars();
+      onChange(value());
+    }
+
+    lo.addEventListener('input', () => fromHandles(lo));
+    hi.addEventListener('input', () => fromHandles(hi));
+
+    // h = Search.histogram(...) result, or null for no data. The track runs
+    // from h.min to h.max rounded out to the step.
+    function setHistogram(h) {
+      histogram = h && h.counts && h.counts.length ? h : null;
+      hist.textContent = '';
+      container.classList.toggle('range-filter-empty', !histogram);
+      if (!histogram) {
+        sync();
+        return;
+      }
+
+      const min = Math.floor(histogram.min / step) * step;
+      let max = Math.ceil(histogram.max / step) * step;
+      if (max <= min) max = min + step;
+      domain = { min, max };
+
+      const peak = Math.max(...histogram.counts) || 1;
+      hist.style.left = `${pct(histogram.min)}%`;
+      hist.style.width = `${pct(histogram.max) - pct(histogram.min)}%`;
+      histogram.counts.forEach(count => {
+        const bar = document.createElement('span');
+        // Square root keeps sparse bins visible next to the busy ones.
+        bar.style.height = count ? `${Math.max(4, Math.sqrt(count / peak) * 100)}%` : '0';
+        bar.title = count.toLocaleString();
+        hist.appendChild(bar);
+      });
+      sync();
+    }
+
+    // { min, max } with null / '' for an open end.
+    function setValue(v) {
+      const num = x => (x === null || x === undefined || x === '' || !Number.isFinite(Number(x))
+        ? null
+        : Number(x));
+      current = { min: num(v && v.min), max: num(v && v.max) };
+      sync();
+    }
+
+    function value() {
+      return { min: current.min, max: current.max };
+    }
+
+    function isSet() {
+      return current.min !== null || current.max !== null;
+    }
+
+    sync();
+
+    return { setHistogram, setValue, value, isSet };
+  };
+
+  global.RangeSlider = RangeSlider;
+})(window);
@@ -2,7 +2,7 @@
 // Indexing + filtering utilities
 (function (global) {
   'use strict';
-  const Search = { indexesBuilt: false };
+  const Search = { indexesBuilt: false, complete: false, capabilities: [] };
 
   let all = [];
   const icao = new Map();
@@ -12,6 +12,37 @@
   const state = new Map();
   const surface = new Map();
   const type = new Map();
+  const countryLabels = new Map();
+  const stateLabels = new Map();
+
+  // Alias index: other codes and names an airport is known by, lower-cased
+  // (names normalized), -> [{ feature, kind, value }]. Searched in
+  // ALIAS_KINDS order.
+  const ALIAS_KINDS = [
+    { kind: 'irlicao', label: 'IRL ICAO' },
+    { kind: 'iata', label: 'IATA' },
+    { kind: 'formerCodes', label: 'former code' },
+    { kind: 'gpsCode', label: 'GPS code' },
+    { kind: 'localCode', label: 'local code' },
+    { kind: 'name', label: 'name' }
+  ];
+  const aliases = new Map();
+
+  // Spatial index: features bucketed into CELL_DEG x CELL_DEG lat/lon cells,
+  // keyed "row_col". Rebuilt by every build().
+  const CELL_DEG = 1;
+  const COLS = 360 / CELL_DEG;
+  const cells = new Map();
+
+  // Text index for Search.query, built on first use after each build():
+  // one entry per feature plus a word -> entries map and a trigram -> words
+  // map for the fuzzy tier.
+  let textIndex = null;
+
+  // Resolves once the full dataset has been indexed. While tiles are still
+  // streaming in, build() is called with { complete: false } for each batch.
+  let resolveReady;
+  const ready = new Promise(resolve => { resolveReady = resolve; });
 
   function push(map, key, f) {
     if (key === undefined || key === null || key === '') return;
@@ -20,7 +51,27 @@
     map.get(k).push(f);
   }
 
-  Search.build = function build(features) {
+  // Country / state keys: the ISO code from the build when there is one
+  // (lower-cased, e.g. "ba", "us-ak"), otherwise the original text.
+  function countryKey(p) {
+    return String(p.countryCode || p.country || '').toLowerCase();
+  }
+
+  function stateKey(p) {
+    return String(p.stateCode || p.state || '').toLowerCase();
+  }
+
+  function countryDisplay(p) {
+    const R = global.Regions;
+    return (p.countryCode && R && R.countryName(p.countryCode)) || p.country || '';
+  }
+
+  function stateDisplay(p) {
+    const R = global.Regions;
+    return (p.stateCode && R && R.stateName(p.stateCode)) || p.state || '';
+  }
+
+  Search.build = function build(features, opts) {
     all = Array.isArray(features) ? features : [];
     icao.clear();
     iata.clear();
@@ -29,18 +80,391 @@
     state.clear();
     surface.clear();
     type.clear();
+    countryLabels.clear();
+    stateLabels.clear();
+    cells.clear();
+    aliases.clear();
 
     for (const f of all) {
       const p = f.properties || {};
       if (p.icao) icao.set(String(p.icao).toLowerCase(), [f]);
       if (p.iata) iata.set(String(p.iata).toLowerCase(), [f]); // harmless if absent
       push(city, p.city, f);
-      push(country, p.country, f);
-      push(state, p.state, f);
+      push(country, countryKey(p), f);
+      push(state, stateKey(p), f);
+      if (countryKey(p)) countryLabels.set(countryKey(p), countryDisplay(p));
+      if (stateKey(p)) stateLabels.set(stateKey(p), stateDisplay(p));
       push(surface, p.surfaceType, f);
       push(type, p.type, f);
+      addToGrid(f);
+      addAliases(f);
     }
+    textIndex = null;
     Search.indexesBuilt = true;
+
+    // Decoded services capabilities [{ property, label }] from the dataset
+    // metadata; each is a boolean feature property.
+    if (opts && Array.isArray(opts.capabilities)) {
+      Search.capabilities = opts.capabilities;
+    }
+
+    Search.complete = !(opts && opts.complete === false);
+    if (Search.complete) resolveReady(all);
+  };
+
+  Search.ready = function whenReady() {
+    return ready;
+  };
+
+  // --- alias index -------------------------------------------------------------
+
+  function aliasKey(kind, value) {
+    return kind === 'name' ? 'name:' + normalizeText(value) : String(value).trim().toLowerCase();
+  }
+
+  function addAliases(f) {
+    const p = f.properties || {};
+    const own = String(p.icao || '').toLowerCase();
+    for (const { kind } of ALIAS_KINDS) {
+      const raw = kind === 'name'
+        ? [p.name].concat(Array.isArray(p.altNames) ? p.altNames : [])
+        : p[kind];
+      const values = (Array.isArray(raw) ? raw : [raw]).filter(v => v != null && v !== '');
+      for (const value of values) {
+        const key = aliasKey(kind, value);
+        if (key === own || key === 'name:') continue;
+        if (!aliases.has(key)) aliases.set(key, []);
+        const list = aliases.get(key);
+        if (!list.some(a => a.feature === f)) list.push({ feature: f, kind, value: String(value) });
+      }
+    }
+  }
+
+  // Find an airport by FSE ICAO or by any alias: IRL ICAO, IATA, former
+  // code, GPS / local code or a full name (case and accents ignored).
+  // Returns null, or { feature, alias } where alias is null for an FSE ICAO
+  // hit, else { kind, label, value, note, matches } — note reads
+  // "resolved from IATA LHR" for the UI; matches counts the airports
+  // sharing the alias (the first by kind priority is returned).
+  Search.resolve = function resolve(text) {
+    if (!Search.indexesBuilt) return null;
+    const k = String(text || '').trim().toLowerCase();
+    if (!k) return null;
+
+    const own = icao.get(k);
+    if (own) return { feature: own[0], alias: null };
+
+    const hits = (aliases.get(k) || []).concat(aliases.get(aliasKey('name', k)) || []);
+    if (!hits.length) return null;
+
+    const rank = h => ALIAS_KINDS.findIndex(a => a.kind === h.kind);
+    hits.sort((a, b) => rank(a) - rank(b));
+    const best = hits[0];
+    const label = ALIAS_KINDS[rank(best)].label;
+    const value = best.kind === 'name' ? best.value : best.value.toUpperCase();
+    const others = new Set(hits.map(h => h.feature)).size;
+    return {
+      feature: best.feature,
+      alias: {
+        kind: best.kind,
+        label,
+        value,
+        note: `resolved from ${label} ${value}` + (others > 1 ? ` (1 of ${others})` : ''),
+        matches: others
+      }
+    };
+  };
+
+  // --- spatial index -----------------------------------------------------------
+
+  const NM_PER_DEG = 60;
+  // Farthest any two points can be: half the circumference on the radius
+  // GeoUtil.haversineNm uses.
+  const HALF_EARTH_NM = Math.PI * 3440.065;
+
+  function haversine() {
+    return global.GeoUtil && typeof global.GeoUtil.haversineNm === 'function'
+      ? global.GeoUtil.haversineNm
+      : null;
+  }
+
+  function cellCol(lon) {
+    const c = Math.floor((((lon + 180) % 360) + 360) % 360 / CELL_DEG);
+    return Math.min(c, COLS - 1);
+  }
+
+  function cellRow(lat) {
+    return Math.floor(Math.max(-90, Math.min(lat, 89.999999)) / CELL_DEG);
+  }
+
+  function addToGrid(f) {
+    const c = f.geometry && f.geometry.coordinates;
+    if (!c || !Number.isFinite(c[0]) || !Number.isFinite(c[1])) return;
+    const key = cellRow(c[1]) + '_' + cellCol(c[0]);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({ f, lat: c[1], lon: c[0] });
+  }
+
+  // Airports within nm of a point, nearest first, as [{ feature, distanceNm }].
+  // Only the grid cells that can hold a match are scanned: the latitude band
+  // ±nm, and the longitudes that band spans at its widest (all of them near
+  // the poles).
+  Search.within = function within(lat, lon, nm) {
+    const dist = haversine();
+    if (!dist || !Number.isFinite(lat) || !Number.isFinite(lon) || !(nm >= 0)) return [];
+
+    const dLat = nm / NM_PER_DEG;
+    const rowMin = cellRow(Math.max(-90, lat - dLat));
+    const rowMax = cellRow(Math.min(90, lat + dLat));
+
+    const widestLat = Math.min(90, Math.max(Math.abs(lat - dLat), Math.abs(lat + dLat)));
+    const cosLat = Math.cos((widestLat * Math.PI) / 180);
+    const dLon = cosLat > 1e-6 ? nm / (NM_PER_DEG * cosLat) : 180;
+    const cols = [];
+    if (dLon >= 180) {
+      for (let c = 0; c < COLS; c++) cols.push(c);
+    } else {
+      const from = Math.floor((lon + 180 - dLon) / CELL_DEG);
+      const to = Math.floor((lon + 180 + dLon) / CELL_DEG);
+      for (let c = from; c <= Math.min(to, from + COLS - 1); c++) {
+        cols.push(((c % COLS) + COLS) % COLS);
+      }
+    }
+
+    const out = [];
+    for (let r = rowMin; r <= rowMax; r++) {
+      for (const c of cols) {
+        const hits = cells.get(r + '_' + c);
+        if (!hits) continue;
+        for (const h of hits) {
+          const d = dist(lat, lon, h.lat, h.lon);
+          if (d <= nm) out.push({ feature: h.f, distanceNm: d });
+        }
+      }
+    }
+    return out.sort((a, b) => a.distanceNm - b.distanceNm);
+  };
+
+  // The k airports nearest a point that pass `predicate(feature)` (optional),
+  // nearest first, as [{ feature, distanceNm }]. Searches a widening radius
+  // until k matches are found or the whole globe is covered.
+  Search.nearest = function nearest(lat, lon, k, predicate) {
+    const want = k > 0 ? k : 1;
+    const keep = typeof predicate === 'function' ? predicate : null;
+    let nm = NM_PER_DEG * CELL_DEG;
+    for (;;) {
+      let hits = Search.within(lat, lon, nm);
+      if (keep) hits = hits.filter(h => keep(h.feature));
+      if (hits.length >= want || nm >= HALF_EARTH_NM) return hits.slice(0, want);
+      nm = Math.min(nm * 4, HALF_EARTH_NM);
+    }
+  };
+
+  // --- ranked text search ---------------------------------------------------
+
+  const FUZZY_MIN_SCORE = 0.5;
+
+  // Lower-case, accents and punctuation dropped.
+  function normalizeText(text) {
+    return String(text || '')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  function trigrams(word) {
+    const padded = `  ${word} `;
+    const out = new Set();
+    for (let i = 0; i < padded.length - 2; i++) out.add(padded.slice(i, i + 3));
+    return out;
+  }
+
+  // Levenshtein distance, giving up (returning max + 1) past `max`.
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        cur[j] = Math.min(
+          prev[j] + 1,
+          cur[j - 1] + 1,
+          prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+        rowMin = Math.min(rowMin, cur[j]);
+      }
+      if (rowMin > max) return max + 1;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  function buildTextIndex() {
+    const entries = [];
+    const words = new Map();     // word -> Set of entry indexes
+    const byTrigram = new Map(); // trigram -> [word]
+
+    all.forEach((f, i) => {
+      const p = f.properties || {};
+      const altNames = Array.isArray(p.altNames) ? p.altNames : [];
+      const names = [p.name, ...altNames].map(normalizeText).filter(Boolean);
+      const texts = [...names, normalizeText(p.city), normalizeText(countryDisplay(p))]
+        .filter(Boolean);
+      entries.push({
+        feature: f,
+        icao: String(p.icao || '').toLowerCase(),
+        codes: [p.iata, p.gpsCode, p.localCode, p.irlicao]
+          .concat(Array.isArray(p.formerCodes) ? p.formerCodes : [])
+          .filter(Boolean)
+          .map(c => String(c).toLowerCase()),
+        names,
+        texts
+      });
+
+      for (const text of texts) {
+        for (const w of text.split(' ')) {
+          if (!words.has(w)) {
+            words.set(w, new Set());
+            for (const t of trigrams(w)) {
+              if (!byTrigram.has(t)) byTrigram.set(t, []);
+              byTrigram.get(t).push(w);
+            }
+          }
+          words.get(w).add(i);
+        }
+      }
+    });
+
+    return { entries, words, byTrigram };
+  }
+
+  // How well each indexed word matches one query word (0..1): 1 for a
+  // prefix, else trigram Dice similarity, with edit distance 1 accepted for
+  // short words where trigrams say little. Only words >= FUZZY_MIN_SCORE.
+  function fuzzyWordScores(index, qWord) {
+    const qTri = trigrams(qWord);
+    const shared = new Map();
+    for (const t of qTri) {
+      for (const w of index.byTrigram.get(t) || []) {
+        shared.set(w, (shared.get(w) || 0) + 1);
+      }
+    }
+
+    const scores = new Map();
+    for (const [w, n] of shared) {
+      let score = w.startsWith(qWord) ? 1 : (2 * n) / (qTri.size + trigrams(w).size);
+      if (score < FUZZY_MIN_SCORE && w.length <= 5 && editDistance(qWord, w, 1) <= 1) {
+        score = FUZZY_MIN_SCORE;
+      }
+      if (score >= FUZZY_MIN_SCORE) scores.set(w, score);
+    }
+    return scores;
+  }
+
+  // Entries where every query word fuzzily matches some word, scored by
+  // the mean of each query word's best match.
+  function fuzzyMatches(index, qText, skip) {
+    const qWords = qText.split(' ').filter(Boolean);
+    if (!qWords.length) return [];
+
+    let totals = null;
+    for (const qWord of qWords) {
+      const best = new Map(); // entry -> best score for this query word
+      for (const [w, score] of fuzzyWordScores(index, qWord)) {
+        for (const i of index.words.get(w)) {
+          if (skip.has(i)) continue;
+          if (!(best.get(i) >= score)) best.set(i, score);
+        }
+      }
+      if (totals === null) {
+        totals = best;
+      } else {
+        for (const i of Array.from(totals.keys())) {
+          if (best.has(i)) totals.set(i, totals.get(i) + best.get(i));
+          else totals.delete(i);
+        }
+      }
+      if (!totals.size) return [];
+    }
+
+    return Array.from(totals, ([i, total]) => ({ i, score: total / qWords.length }));
+  }
+
+  // Relevance-ranked text search over ICAO and other codes, names,
+  // alternate names, city and country. Tiers, best first:
+  //   'icao'     exact ICAO
+  //   'code'     exact IATA / IRL ICAO / former / GPS / local code
+  //   'prefix'   a code or name starts with the text
+  //   'contains' a code, name, city or country contains the text
+  //   'fuzzy'    every word is close to a word of a name, city or country
+  // Fuzzy matches only fill in when the other tiers found fewer than
+  // `limit` airports (without a limit: only when they found none).
+  // Returns [{ feature, match, score }], score 0..1 within the tier.
+  Search.query = function query(text, opts) {
+    if (!Search.indexesBuilt) return [];
+    const limit = opts && opts.limit > 0 ? opts.limit : Infinity;
+    const raw = String(text || '').trim().toLowerCase();
+    const qText = normalizeText(raw);
+    if (!raw) return [];
+
+    if (!textIndex) textIndex = buildTextIndex();
+    const { entries } = textIndex;
+
+    const tiers = { icao: [], code: [], prefix: [], contains: [] };
+    entries.forEach((e, i) => {
+      if (e.icao === raw) {
+        tiers.icao.push({ i, score: 1 });
+        return;
+      }
+      if (e.codes.includes(raw)) {
+        tiers.code.push({ i, score: 1 });
+        return;
+      }
+
+      // Prefix score: the share of the code / name already typed, so
+      // shorter completions rank first.
+      const prefixes = [e.icao, ...e.codes]
+        .filter(c => c.startsWith(raw))
+        .map(c => raw.length / c.length);
+      if (qText) {
+        e.names.filter(n => n.startsWith(qText)).forEach(n => prefixes.push(qText.length / n.length));
+      }
+      if (prefixes.length) {
+        tiers.prefix.push({ i, score: Math.max(...prefixes) });
+        return;
+      }
+
+      if (e.icao.includes(raw) || e.codes.some(c => c.includes(raw)) ||
+          (qText && e.texts.some(t => t.includes(qText)))) {
+        tiers.contains.push({ i, score: 0.5 });
+      }
+    });
+
+    const byScore = (a, b) =>
+      b.score - a.score ||
+      String(entries[a.i].feature.properties.name || '')
+        .localeCompare(String(entries[b.i].feature.properties.name || ''));
+
+    const results = [];
+    for (const match of ['icao', 'code', 'prefix', 'contains']) {
+      for (const hit of tiers[match].sort(byScore)) {
+        results.push({ feature: entries[hit.i].feature, match, score: hit.score });
+      }
+    }
+
+    const wantFuzzy = limit === Infinity ? results.length === 0 : results.length < limit;
+    if (wantFuzzy && qText) {
+      const skip = new Set();
+      for (const match of Object.keys(tiers)) tiers[match].forEach(h => skip.add(h.i));
+      for (const hit of fuzzyMatches(textIndex, qText, skip).sort(byScore)) {
+        results.push({ feature: entries[hit.i].feature, match: 'fuzzy', score: hit.score });
+      }
+    }
+
+    return results.slice(0, limit);
   };
 
   // Helper: classify numeric "size" into small/medium/large bucket
@@ -51,51 +475,144 @@
     return 'large';
   }
 
-  Search.filter = function filter(opts) {
-    if (!Search.indexesBuilt) return [];
+  // Numeric fields for range filters, sorting and histograms. Any other
+  // name reads the feature property of that name.
+  const NUMERIC_FIELDS = {
+    elev: f => numberOrNull(f.properties.elev),
+    size: f => numberOrNull(f.properties.size),
+    rwy: f => numberOrNull(f.properties.longestRwy),
+    lat: f => coordinate(f, 1),
+    lon: f => coordinate(f, 0)
+  };
+  const FIELD_ALIASES = {
+    elevation: 'elev',
+    runway: 'rwy',
+    longestrwy: 'rwy',
+    latitude: 'lat',
+    longitude: 'lon',
+    dist: 'distance'
+  };
 
-    opts = opts || {};
+  function numberOrNull(v) {
+    if (v === null || v === undefined || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  function coordinate(f, i) {
+    const c = f.geometry && f.geometry.coordinates;
+    return c ? numberOrNull(c[i]) : null;
+  }
+
+  function fieldName(name) {
+    const k = String(name || '').trim();
+    return FIELD_ALIASES[k.toLowerCase()] || k;
+  }
+
+  Search.numericValue = function numericValue(f, field) {
+    const k = fieldName(field);
+    const get = NUMERIC_FIELDS[k];
+    return get ? get(f) : numberOrNull((f.properties || {})[k]);
+  };
+
+  // `ranges` option ({ field: { min, max } }) -> [{ field, min, max }] with
+  // blank bounds dropped.
+  function rangeList(ranges) {
+    const out = [];
+    for (const [field, r] of Object.entries(ranges || {})) {
+      if (!r) continue;
+      const min = numberOrNull(r.min);
+      const max = numberOrNull(r.max);
+      if (min !== null || max !== null) out.push({ field: fieldName(field), min, max });
+    }
+    return out;
+  }
+
+  // Angle between two runway headings, ignoring direction (0–90°).
+  function runwayHeadingDiff(a, b) {
+    const d = Math.abs(a - b) % 180;
+    return Math.min(d, 180 - d);
+  }
+
+  // Open runways from the optional per-runway data, or null if absent.
+  function openRunways(p) {
+    if (!Array.isArray(p.runways)) return null;
+    return p.runways.filter(r => r && !r.closed);
+  }
+
+  // Country key for a country named in free text, or null. Two-letter words
+  // ("de", "in", "no") are left to the text search: country codes only count
+  // in a country: term or the panel.
+  function countryByName(qStr) {
+    if (/^[a-z]{2}$/.test(qStr)) return null;
+    if (country.has(qStr)) return qStr;
+    const code = global.Regions && global.Regions.countryCode(qStr);
+    const k = code ? code.toLowerCase() : '';
+    return k && country.has(k) ? k : null;
+  }
+
+  // Airports matching the free-text part of a query: exact ICAO / IATA /
+  // city / country name index hits, else the ranked Search.query matches.
+  function textBase(q) {
+    const qStr = String(q || '').trim().toLowerCase();
+    let base;
+
+    if (!qStr) {
+      base = all;
+    } else if (icao.has(qStr)) {
+      base = icao.get(qStr);
+    } else if (iata.has(qStr)) {
+      base = iata.get(qStr);
+    } else if (aliases.has(qStr)) {
+      base = aliases.get(qStr).map(a => a.feature);
+    } else if (city.has(qStr)) {
+      base = city.get(qStr);
+    } else if (countryByName(qStr)) {
+      base = country.get(countryByName(qStr));
+    } else {
+      // Ranked: code / name prefix / substring matches, or typo-tolerant
+      // fuzzy matches when there are none.
+      base = Search.query(qStr).map(r => r.feature);
+    }
+    return base;
+  }
+
+  // Predicate for every option except the text query `q`.
+  function compile(opts) {
     const {
-      q = '',
       countrySel = [],
       stateSel = [],
       typeSel = [],
       sizeSel = [],
       surfaceSel = [],
-      servicesSel = [],
+      capabilitySel = [],
       rwyMin = '',
       rwyMax = '',
+      ranges = {},
+      rwyCountMin = '',
+      rwyCountMax = '',
+      rwyHeading = '',
+      rwyHeadingTol = '',
+      rwyMatchMinLen = '',
+      rwyMatchSurface = '',
       radiusCenterLat = null,
       radiusCenterLon = null,
       radiusNm = null,
       irlStatus = 'any',
       requireLocalFuel = false,
-      requireLocalMx = false
+      requireLocalMx = false,
+      facetModes = {}
     } = opts;
 
-    const qStr = q.trim().toLowerCase();
-
-    // --- base set using simple indexes / text search ------------------------
-    let base;
-
-    if (!qStr) {
-      base = all;
-    } else if (icao.has(qStr)) {
-      base = icao.get(qStr);
-    } else if (iata.has(qStr)) {
-      base = iata.get(qStr);
-    } else if (city.has(qStr)) {
-      base = city.get(qStr);
-    } else if (country.has(qStr)) {
-      base = country.get(qStr);
-    } else {
-      base = all.filter(f => {
-        const p = f.properties || {};
-        return [p.name, p.city, p.country, p.icao, p.iata].some(
-          v => v && String(v).toLowerCase().includes(qStr)
-        );
-      });
-    }
+    // Facets in exclude mode drop the selected values instead of keeping
+    // only them.
+    const excluding = facet => facetModes[facet] === 'exclude';
+    const exCountry = excluding('country');
+    const exState = excluding('state');
+    const exType = excluding('type');
+    const exSize = excluding('size');
+    const exSurface = excluding('surface');
+    const exCapability = excluding('capability');
 
     // --- normalize multi-select filter values into Sets ---------------------
     const countrySet  = new Set(countrySel.map(v => String(v).toLowerCase()));
@@ -103,88 +620,115 @@
     const typeSet     = new Set(typeSel.map(v => String(v).toLowerCase()));
     const sizeSet     = new Set(sizeSel.map(v => String(v).toLowerCase()));      // 'small'/'medium'/'large'
     const surfaceSet  = new Set(surfaceSel.map(v => String(v).toLowerCase()));
-    const servicesSet = new Set(servicesSel.map(v => String(v)));
 
-    const min = rwyMin !== '' ? Number(rwyMin) : null;
-    const max = rwyMax !== '' ? Number(rwyMax) : null;
-
-    const haversine =
-      global.GeoUtil && typeof global.GeoUtil.haversineNm === 'function'
-        ? global.GeoUtil.haversineNm
-        : null;
+    // Numeric ranges (inclusive); rwyMin / rwyMax are the runway range.
+    const rangeChecks = rangeList({ rwy: { min: rwyMin, max: rwyMax }, ...ranges });
+
+    // Per-runway filters (need the `runways` array from the build)
+    const countMin = rwyCountMin !== '' ? Number(rwyCountMin) : null;
+    const countMax = rwyCountMax !== '' ? Number(rwyCountMax) : null;
+    const matchHeading = rwyHeading !== '' ? Number(rwyHeading) : null;
+    const matchTol = rwyHeadingTol !== '' ? Number(rwyHeadingTol) : 15;
+    const matchLen = rwyMatchMinLen !== '' ? Number(rwyMatchMinLen) : null;
+    const matchSurf = String(rwyMatchSurface || '').trim().toLowerCase();
+    const useRunwayMatch = matchHeading !== null || matchLen !== null || matchSurf !== '';
+
+    function runwayMatches(r) {
+      if (matchHeading !== null &&
+          (r.heading == null || runwayHeadingDiff(r.heading, matchHeading) > matchTol)) {
+        return false;
+      }
+      if (matchLen !== null && (r.length == null || r.length < matchLen)) {
+        return false;
+      }
+      if (matchSurf && !String(r.surface || '').toLowerCase().includes(matchSurf)) {
+        return false;
+      }
+      return true;
+    }
 
     const useRadius =
-      haversine &&
+      haversine() &&
       radiusCenterLat != null &&
       radiusCenterLon != null &&
       radiusNm != null;
+    // Airports in range, from the spatial index
+    const inRadius = useRadius
+      ? new Set(Search.within(Number(radiusCenterLat), Number(radiusCenterLon), Number(radiusNm))
+          .map(h => h.feature))
+      : null;
 
     // --- apply filters ------------------------------------------------------
-    return base.filter(f => {
+    return function matches(f) {
       const p = f.properties || {};
 
-      const fCountry = (p.country || '').toLowerCase();
-      const fState   = (p.state || '').toLowerCase();
+      const fCountry = countryKey(p);
+      const fState   = stateKey(p);
       const fType    = (p.type || '').toLowerCase();
       const fSizeVal = Number(p.size || 0);
       const fSizeCat = classifySize(fSizeVal); // 'small'/'medium'/'large' or null
       const fSurf    = String(p.surfaceType ?? '').toLowerCase();
-      const fServ    = String(p.services ?? '');
-      const fRwy     = p.longestRwy != null ? Number(p.longestRwy) : null;
       const hasReal = !!p.hasRealAirport;
       const icaoCorrect = !!p.icaoCorrect;
       const localFuelVal = String(p.localfuel || '').toLowerCase(); // "yes"/"no"
       const localMxVal = String(p.localmx || '').toLowerCase();     // "yes"/"no"
 
-      // Country: if any selected, feature's country must be in set
-      if (countrySet.size && !countrySet.has(fCountry)) {
+      // Facets: if any selected, the feature's value must be in the set
+      // (include mode) or must not be (exclude mode).
+
+      // Country
+      if (countrySet.size && countrySet.has(fCountry) === exCountry) {
         return false;
       }
 
-      // State/Region: if any selected, feature's state must be in set
-      if (stateSet.size && !stateSet.has(fState)) {
+      // State/Region
+      if (stateSet.size && stateSet.has(fState) === exState) {
         return false;
       }
 
-      // Type: if any selected, feature's type must be in set
-      if (typeSet.size && !typeSet.has(fType)) {
+      // Type
+      if (typeSet.size && typeSet.has(fType) === exType) {
         return false;
       }
 
       // Size buckets (small/medium/large): OR across selected buckets
-      if (sizeSet.size) {
-        if (!fSizeCat || !sizeSet.has(fSizeCat)) {
-          return false;
-        }
+      if (sizeSet.size && (!!fSizeCat && sizeSet.has(fSizeCat)) === exSize) {
+        return false;
       }
 
       // Surface type: exact match on numeric/string value
-      if (surfaceSet.size && !surfaceSet.has(fSurf)) {
+      if (surfaceSet.size && surfaceSet.has(fSurf) === exSurface) {
         return false;
       }
 
-      // Services: exact match on services code (e.g. "0", "3", "7")
-      if (servicesSet.size && !servicesSet.has(fServ)) {
+      // Services capabilities: every selected one must be present, or in
+      // exclude mode none of them
+      if (exCapability
+        ? capabilitySel.some(prop => p[prop] === true)
+        : capabilitySel.some(prop => p[prop] !== true)) {
         return false;
       }
 
-      // Runway length min / max on longestRwy
-      if (min !== null && (fRwy === null || fRwy < min)) {
-        return false;
+      // Numeric ranges: airports without the value never match
+      for (const r of rangeChecks) {
+        const v = Search.numericValue(f, r.field);
+        if (v === null) return false;
+        if (r.min !== null && v < r.min) return false;
+        if (r.max !== null && v > r.max) return false;
       }
-      if (max !== null && (fRwy === null || fRwy > max)) {
-        return false;
+
+      // Runway count / any runway matching heading, length, surface
+      if (countMin !== null || countMax !== null || useRunwayMatch) {
+        const runways = openRunways(p);
+        if (!runways) return false;
+        if (countMin !== null && runways.length < countMin) return false;
+        if (countMax !== null && runways.length > countMax) return false;
+        if (useRunwayMatch && !runways.some(runwayMatches)) return false;
       }
 
       // Radius filter: only keep airports within radiusNm of the center
-      if (useRadius) {
-        const coords = f.geometry && f.geometry.coordinates;
-        if (!coords || coords.length < 2) return false;
-        const flon = coords[0];
-        const flat = coords[1];
-
-        const d = haversine(flat, flon, radiusCenterLat, radiusCenterLon);
-        if (d > radiusNm) return false;
+      if (inRadius && !inRadius.has(f)) {
+        return false;
       }
 
       // IRL / ICAO status filter
@@ -212,21 +756,167 @@
 
       // If we got here, this feature passes all filters
       return true;
+    };
+  }
+
+  // compile() plus the group's `exclude` entries.
+  function compileGroup(opts) {
+    const matches = compile(opts);
+    const excludes = (opts.exclude || []).map(ex => {
+      const inText = ex.q && String(ex.q).trim() ? new Set(textBase(ex.q)) : null;
+      const exMatches = compile(ex);
+      return f => (!inText || inText.has(f)) && exMatches(f);
     });
+    return f => matches(f) && !excludes.some(ex => ex(f));
+  }
+
+  // --- sorting ---------------------------------------------------------------
+
+  // Sort keys: value of a feature, or null (always sorted last).
+  const SORT_KEYS = {
+    distance: (f, from) => {
+      const c = f.geometry && f.geometry.coordinates;
+      const dist = haversine();
+      return from && dist && c ? dist(from.lat, from.lon, c[1], c[0]) : null;
+    },
+    rwy: NUMERIC_FIELDS.rwy,
+    elev: NUMERIC_FIELDS.elev,
+    size: NUMERIC_FIELDS.size,
+    name: f => String(f.properties.name || '').toLowerCase() || null,
+    icao: f => String(f.properties.icao || '').toLowerCase() || null
   };
 
+  Search.SORT_KEYS = Object.keys(SORT_KEYS);
+
+  // "name" / "-rwy" (leading "-" = descending) -> { key, desc }, or null.
+  function parseSortKey(spec) {
+    const m = /^(-?)(\w+)$/.exec(String(spec || '').trim());
+    if (!m) return null;
+    const name = m[2].toLowerCase();
+    const key = SORT_KEYS[name] ? name : FIELD_ALIASES[name];
+    return key ? { key, desc: m[1] === '-' } : null;
+  }
+
+  // A copy of features ordered by `sort`: one key or a list of keys, e.g.
+  // ['distance', '-rwy'] (later keys break ties). `from` = { lat, lon } for
+  // 'distance'. Missing values go last in either direction; ties keep their
+  // input order.
+  Search.sort = function sort(features, sortSpec, from) {
+    const keys = (Array.isArray(sortSpec) ? sortSpec : [sortSpec])
+      .map(parseSortKey)
+      .filter(Boolean);
+    const list = Array.isArray(features) ? features.slice() : [];
+    if (!keys.length) return list;
+
+    const rows = list.map(f => ({ f, v: keys.map(k => SORT_KEYS[k.key](f, from)) }));
+    rows.sort((a, b) => {
+      for (let i = 0; i < keys.length; i++) {
+        const x = a.v[i];
+        const y = b.v[i];
+        if (x === y) continue;
+        if (x === null) return 1;
+        if (y === null) return -1;
+        const c = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        if (c) return keys[i].desc ? -c : c;
+      }
+      return 0;
+    });
+    return rows.map(r => r.f);
+  };
+
+  // opts: the filter options above plus
+  //   q        free text
+  //   exclude  list of options objects (each may have its own `q`) for
+  //            negated terms: airports matching any one of them are dropped
+  //   facetModes  { country | state | type | size | surface | capability:
+  //            'include' (default) | 'exclude' }
+  //   groups   list of options objects (each with its own `exclude`)
+  //            combined with OR; the other options apply on top of them
+  //   ranges   { field: { min, max } } inclusive numeric ranges, e.g.
+  //            { elev: { min: 5000 }, lat: { min: 40, max: 50 } }; fields
+  //            are elev, size, rwy, lat, lon or any numeric property
+  //   sort     sort key(s) for Search.sort; 'distance' measures from
+  //            sortFrom ({ lat, lon }) or else the radius center
+  //   offset, limit  paging, applied after sorting
+  // Without `sort`, text matches keep their relevance order and everything
+  // else file order.
+  Search.filter = function filter(opts) {
+    if (!Search.indexesBuilt) return [];
+
+    opts = opts || {};
+    const base = textBase(opts.q);
+    const matches = compileGroup(opts);
+    const groups = (opts.groups || []).map(compileGroup);
+
+    let out = base.filter(f => matches(f) && (!groups.length || groups.some(g => g(f))));
+
+    if (opts.sort && (!Array.isArray(opts.sort) || opts.sort.length)) {
+      const from = opts.sortFrom ||
+        (opts.radiusCenterLat != null && opts.radiusCenterLon != null
+          ? { lat: Number(opts.radiusCenterLat), lon: Number(opts.radiusCenterLon) }
+          : null);
+      out = Search.sort(out, opts.sort, from);
+    }
+
+    const offset = Math.max(0, Number(opts.offset) || 0);
+    const limit = Number(opts.limit) > 0 ? Number(opts.limit) : null;
+    if (offset || limit !== null) {
+      out = out.slice(offset, limit !== null ? offset + limit : undefined);
+    }
+    return out;
+  };
+
+  // Distribution of a numeric field over the whole dataset, for range
+  // controls: { min, max, counts, total } with `bins` equal-width bins from
+  // min to max. `clip` (0–0.5) trims that fraction of airports off each end
+  // first, so a few outliers don't squash the rest into one bin. null when
+  // no airport has the field.
+  Search.histogram = function histogram(field, bins, clip) {
+    const n = Math.max(1, Math.floor(bins) || 20);
+    const values = [];
+    for (const f of all) {
+      const v = Search.numericValue(f, field);
+      if (v !== null) values.push(v);
+    }
+    if (!values.length) return null;
+    values.sort((a, b) => a - b);
+
+    const trim = Math.floor(values.length * Math.min(Math.max(Number(clip) || 0, 0), 0.5));
+    const min = values[trim];
+    const max = values[Math.max(trim, values.length - 1 - trim)];
+    const width = (max - min) / n || 1;
+    const counts = new Array(n).fill(0);
+    for (const v of values) {
+      if (v < min || v > max) continue;
+      counts[Math.min(n - 1, Math.floor((v - min) / width))]++;
+    }
+    return { min, max, counts, total: values.length };
+  };
+
+  // Country keys (ISO alpha-2 lower-cased, or the original text when the
+  // build could not map it), sorted by display name.
   Search.countries = function countries() {
     const list = Array.from(country.keys());
-    list.sort((a, b) => a.localeCompare(b));
+    list.sort((a, b) => Search.countryLabel(a).localeCompare(Search.countryLabel(b)));
     return list;
   };
 
+  // State keys (ISO 3166-2 lower-cased, or the original text).
   Search.states = function states() {
     const list = Array.from(state.keys()).filter(Boolean);
-    list.sort((a, b) => String(a).localeCompare(String(b)));
+    list.sort((a, b) => Search.stateLabel(a).localeCompare(Search.stateLabel(b)));
     return list;
   };
 
+  // Display names for country / state keys.
+  Search.countryLabel = function countryLabel(k) {
+    return countryLabels.get(String(k).toLowerCase()) || String(k);
+  };
+
+  Search.stateLabel = function stateLabel(k) {
+    return stateLabels.get(String(k).toLowerCase()) || String(k);
+  };
+
   Search.surfaces = function surfacesList() {
     const list = Array.from(surface.keys()).filter(Boolean);
     list.sort((a, b) => String(a).localeCompare(String(b)));
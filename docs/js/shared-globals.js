@@ -0,0 +1,10 @@
+// shared-globals.js
+// Exposes the ES modules the viewer shares with the build (docs/js/shared/)
+// as the globals the plain scripts expect. Loaded as a module, so it runs
+// after the classic scripts and before app.js (also a module).
+
+import { Regions } from './shared/regions.js';
+import { DuplicateCheck } from './shared/duplicate-check.js';
+
+window.Regions = Regions;
+window.DuplicateCheck = DuplicateCheck;
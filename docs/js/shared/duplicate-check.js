@@ -0,0 +1,172 @@
+// duplicate-check.js
+// Suspect airport pairs: placed almost on top of each other, same name in the
+// same country, or mapped to the same IRL ICAO.
+//
+// ES module shared by the viewer (js/shared-globals.js exposes it as
+// window.DuplicateCheck for DuplicateOverlay) and the build
+// (scripts/lib/duplicates.js), so it must not touch the DOM or Leaflet.
+
+export const DuplicateCheck = {};
+
+DuplicateCheck.DEFAULT_DISTANCE_NM = 0.5;
+
+const EARTH_RADIUS_NM = 3440.065;
+const NM_PER_DEG_LAT = 60;
+
+function haversineNm(lat1, lon1, lat2, lon2) {
+  const toRad = d => (d * Math.PI) / 180;
+  const dPhi = toRad(lat2 - lat1);
+  const dLambda = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dPhi / 2) * Math.sin(dPhi / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLambda / 2) * Math.sin(dLambda / 2);
+  return EARTH_RADIUS_NM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+function normalizeName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function entry(f) {
+  const p = f.properties || {};
+  const c = (f.geometry && f.geometry.coordinates) || [];
+  return {
+    icao: p.icao,
+    name: p.name || '',
+    country: p.country || '',
+    countryKey: String(p.countryCode || p.country || '').toLowerCase(),
+    irlicao: p.irlicao || null,
+    lat: c[1],
+    lon: c[0]
+  };
+}
+
+function pair(kind, a, b, detail) {
+  return {
+    kind,
+    a: { icao: a.icao, name: a.name, lat: a.lat, lon: a.lon },
+    b: { icao: b.icao, name: b.name, lat: b.lat, lon: b.lon },
+    distanceNm: Number(haversineNm(a.lat, a.lon, b.lat, b.lon).toFixed(2)),
+    detail
+  };
+}
+
+// Links within each group of two or more: the group's shortest spanning
+// tree (Prim), so n members give n - 1 pairs rather than every pair and each
+// airport is joined to its nearest neighbour in the group.
+function groupPairs(groups, kind, detail) {
+  const out = [];
+  for (const [key, members] of groups) {
+    const text = detail(key, members);
+    // best[i]: distance from member i to the tree so far, via member from[i]
+    const best = members.map(() => Infinity);
+    const from = members.map(() => 0);
+    const inTree = members.map(() => false);
+    let current = 0;
+    for (let added = 1; added < members.length; added++) {
+      inTree[current] = true;
+      const a = members[current];
+      let next = -1;
+      for (let i = 0; i < members.length; i++) {
+        if (inTree[i]) continue;
+        const d = haversineNm(a.lat, a.lon, members[i].lat, members[i].lon);
+        if (d < best[i]) {
+          best[i] = d;
+          from[i] = current;
+        }
+        if (next < 0 || best[i] < best[next]) next = i;
+      }
+      out.push(pair(kind, members[from[next]], members[next], text));
+      current = next;
+    }
+  }
+  return out;
+}
+
+function groupBy(entries, keyOf) {
+  const groups = new Map();
+  for (const e of entries) {
+    const key = keyOf(e);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(e);
+  }
+  return Array.from(groups).filter(([, members]) => members.length > 1);
+}
+
+// Pairs closer than maxNm. Airports are split into latitude bands maxNm
+// tall, so a close pair is always in the same or adjacent bands; within
+// those, a sort by longitude bounds the comparisons. (Pairs straddling the
+// antimeridian are not detected.)
+function closePairs(entries, maxNm) {
+  const bandDeg = Math.max(maxNm / NM_PER_DEG_LAT, 0.01);
+  const bands = new Map();
+  for (const e of entries) {
+    const r = Math.floor(e.lat / bandDeg);
+    if (!bands.has(r)) bands.set(r, []);
+    bands.get(r).push(e);
+  }
+
+  const out = [];
+  for (const [r, band] of bands) {
+    const inBand = new Set(band);
+    const candidates = band
+      .concat(bands.get(r + 1) || [])
+      .sort((a, b) => a.lon - b.lon);
+
+    for (let i = 0; i < candidates.length; i++) {
+      const a = candidates[i];
+      const cosLat = Math.max(Math.cos((a.lat * Math.PI) / 180), 0.01);
+      const lonWindow = maxNm / (NM_PER_DEG_LAT * cosLat);
+      for (let j = i + 1; j < candidates.length; j++) {
+        const b = candidates[j];
+        if (b.lon - a.lon > lonWindow) break;
+        // Pairs entirely in band r + 1 are found when that band is scanned.
+        if (!inBand.has(a) && !inBand.has(b)) continue;
+        const d = haversineNm(a.lat, a.lon, b.lat, b.lon);
+        if (d <= maxNm) {
+          out.push(pair('close', a, b, `${d.toFixed(2)} nm apart`));
+        }
+      }
+    }
+  }
+  return out;
+}
+
+// features: GeoJSON features. opts.maxDistanceNm: "close" threshold.
+// Returns { summary: { close, sameName, sameIrl }, pairs } with pairs
+// [{ kind: 'close' | 'same-name' | 'same-irl', a, b, distanceNm, detail }].
+DuplicateCheck.find = function find(features, opts) {
+  const maxNm = (opts && opts.maxDistanceNm) || DuplicateCheck.DEFAULT_DISTANCE_NM;
+  const entries = (features || [])
+    .map(entry)
+    .filter(e => e.icao && Number.isFinite(e.lat) && Number.isFinite(e.lon));
+
+  const close = closePairs(entries, maxNm);
+  const sameName = groupPairs(
+    groupBy(entries, e => {
+      const n = normalizeName(e.name);
+      return n ? e.countryKey + '|' + n : null;
+    }),
+    'same-name',
+    (k, members) => `Same name in ${members[0].country || 'unknown country'} (${members.length} airports)`
+  );
+  const sameIrl = groupPairs(
+    groupBy(entries, e => (e.irlicao ? String(e.irlicao).toUpperCase() : null)),
+    'same-irl',
+    (k, members) => `${members.length} airports mapped to IRL ${k}`
+  );
+
+  return {
+    summary: {
+      close: close.length,
+      sameName: sameName.length,
+      sameIrl: sameIrl.length
+    },
+    pairs: [...close, ...sameName, ...sameIrl]
+  };
+};
@@ -0,0 +1,261 @@
+// regions.js
+// Country / state normalization: free-text names from the FSE CSV to
+// ISO 3166-1 alpha-2 country codes and ISO 3166-2 subdivision codes, plus
+// display names and flag emoji for the UI.
+//
+// ES module shared by the viewer (js/shared-globals.js exposes it as
+// window.Regions) and the build (scripts/lib/regions.js), so it must not
+// touch the DOM. Subdivision codes are only listed for countries where
+// FSE fills in the state column consistently.
+
+export const Regions = {};
+
+// ISO 3166-1 alpha-2 -> display name (common English short form).
+const COUNTRIES = {
+  AD: 'Andorra', AE: 'United Arab Emirates', AF: 'Afghanistan',
+  AG: 'Antigua and Barbuda', AI: 'Anguilla', AL: 'Albania', AM: 'Armenia',
+  AO: 'Angola', AQ: 'Antarctica', AR: 'Argentina', AS: 'American Samoa',
+  AT: 'Austria', AU: 'Australia', AW: 'Aruba', AX: 'Åland Islands',
+  AZ: 'Azerbaijan', BA: 'Bosnia and Herzegovina', BB: 'Barbados',
+  BD: 'Bangladesh', BE: 'Belgium', BF: 'Burkina Faso', BG: 'Bulgaria',
+  BH: 'Bahrain', BI: 'Burundi', BJ: 'Benin', BL: 'Saint Barthélemy',
+  BM: 'Bermuda', BN: 'Brunei', BO: 'Bolivia',
+  BQ: 'Caribbean Netherlands', BR: 'Brazil', BS: 'Bahamas', BT: 'Bhutan',
+  BV: 'Bouvet Island', BW: 'Botswana', BY: 'Belarus', BZ: 'Belize',
+  CA: 'Canada', CC: 'Cocos (Keeling) Islands', CD: 'DR Congo',
+  CF: 'Central African Republic', CG: 'Republic of the Congo',
+  CH: 'Switzerland', CI: "Côte d'Ivoire", CK: 'Cook Islands', CL: 'Chile',
+  CM: 'Cameroon', CN: 'China', CO: 'Colombia', CR: 'Costa Rica', CU: 'Cuba',
+  CV: 'Cape Verde', CW: 'Curaçao', CX: 'Christmas Island', CY: 'Cyprus',
+  CZ: 'Czechia', DE: 'Germany', DJ: 'Djibouti', DK: 'Denmark',
+  DM: 'Dominica', DO: 'Dominican Republic', DZ: 'Algeria', EC: 'Ecuador',
+  EE: 'Estonia', EG: 'Egypt', EH: 'Western Sahara', ER: 'Eritrea',
+  ES: 'Spain', ET: 'Ethiopia', FI: 'Finland', FJ: 'Fiji',
+  FK: 'Falkland Islands', FM: 'Micronesia', FO: 'Faroe Islands',
+  FR: 'France', GA: 'Gabon', GB: 'United Kingdom', GD: 'Grenada',
+  GE: 'Georgia', GF: 'French Guiana', GG: 'Guernsey', GH: 'Ghana',
+  GI: 'Gibraltar', GL: 'Greenland', GM: 'Gambia', GN: 'Guinea',
+  GP: 'Guadeloupe', GQ: 'Equatorial Guinea', GR: 'Greece',
+  GS: 'South Georgia and the South Sandwich Islands', GT: 'Guatemala',
+  GU: 'Guam', GW: 'Guinea-Bissau', GY: 'Guyana', HK: 'Hong Kong',
+  HM: 'Heard Island and McDonald Islands', HN: 'Honduras', HR: 'Croatia',
+  HT: 'Haiti', HU: 'Hungary', ID: 'Indonesia', IE: 'Ireland', IL: 'Israel',
+  IM: 'Isle of Man', IN: 'India', IO: 'British Indian Ocean Territory',
+  IQ: 'Iraq', IR: 'Iran', IS: 'Iceland', IT: 'Italy', JE: 'Jersey',
+  JM: 'Jamaica', JO: 'Jordan', JP: 'Japan', KE: 'Kenya', KG: 'Kyrgyzstan',
+  KH: 'Cambodia', KI: 'Kiribati', KM: 'Comoros',
+  KN: 'Saint Kitts and Nevis', KP: 'North Korea', KR: 'South Korea',
+  KW: 'Kuwait', KY: 'Cayman Islands', KZ: 'Kazakhstan', LA: 'Laos',
+  LB: 'Lebanon', LC: 'Saint Lucia', LI: 'Liechtenstein', LK: 'Sri Lanka',
+  LR: 'Liberia', LS: 'Lesotho', LT: 'Lithuania', LU: 'Luxembourg',
+  LV: 'Latvia', LY: 'Libya', MA: 'Morocco', MC: 'Monaco', MD: 'Moldova',
+  ME: 'Montenegro', MF: 'Saint Martin', MG: 'Madagascar',
+  MH: 'Marshall Islands', MK: 'North Macedonia', ML: 'Mali', MM: 'Myanmar',
+  MN: 'Mongolia', MO: 'Macao', MP: 'Northern Mariana Islands',
+  MQ: 'Martinique', MR: 'Mauritania', MS: 'Montserrat', MT: 'Malta',
+  MU: 'Mauritius', MV: 'Maldives', MW: 'Malawi', MX: 'Mexico',
+  MY: 'Malaysia', MZ: 'Mozambique', NA: 'Namibia', NC: 'New Caledonia',
+  NE: 'Niger', NF: 'Norfolk Island', NG: 'Nigeria', NI: 'Nicaragua',
+  NL: 'Netherlands', NO: 'Norway', NP: 'Nepal', NR: 'Nauru', NU: 'Niue',
+  NZ: 'New Zealand', OM: 'Oman', PA: 'Panama', PE: 'Peru',
+  PF: 'French Polynesia', PG: 'Papua New Guinea', PH: 'Philippines',
+  PK: 'Pakistan', PL: 'Poland', PM: 'Saint Pierre and Miquelon',
+  PN: 'Pitcairn Islands', PR: 'Puerto Rico', PS: 'Palestine',
+  PT: 'Portugal', PW: 'Palau', PY: 'Paraguay', QA: 'Qatar',
+  RE: 'Réunion', RO: 'Romania', RS: 'Serbia', RU: 'Russia', RW: 'Rwanda',
+  SA: 'Saudi Arabia', SB: 'Solomon Islands', SC: 'Seychelles',
+  SD: 'Sudan', SE: 'Sweden', SG: 'Singapore', SH: 'Saint Helena',
+  SI: 'Slovenia', SJ: 'Svalbard and Jan Mayen', SK: 'Slovakia',
+  SL: 'Sierra Leone', SM: 'San Marino', SN: 'Senegal', SO: 'Somalia',
+  SR: 'Suriname', SS: 'South Sudan', ST: 'São Tomé and Príncipe',
+  SV: 'El Salvador', SX: 'Sint Maarten', SY: 'Syria', SZ: 'Eswatini',
+  TC: 'Turks and Caicos Islands', TD: 'Chad',
+  TF: 'French Southern Territories', TG: 'Togo', TH: 'Thailand',
+  TJ: 'Tajikistan', TK: 'Tokelau', TL: 'Timor-Leste', TM: 'Turkmenistan',
+  TN: 'Tunisia', TO: 'Tonga', TR: 'Türkiye', TT: 'Trinidad and Tobago',
+  TV: 'Tuvalu', TW: 'Taiwan', TZ: 'Tanzania', UA: 'Ukraine', UG: 'Uganda',
+  UM: 'U.S. Minor Outlying Islands', US: 'United States', UY: 'Uruguay',
+  UZ: 'Uzbekistan', VA: 'Vatican City',
+  VC: 'Saint Vincent and the Grenadines', VE: 'Venezuela',
+  VG: 'British Virgin Islands', VI: 'U.S. Virgin Islands', VN: 'Vietnam',
+  VU: 'Vanuatu', WF: 'Wallis and Futuna', WS: 'Samoa', XK: 'Kosovo',
+  YE: 'Yemen', YT: 'Mayotte', ZA: 'South Africa', ZM: 'Zambia',
+  ZW: 'Zimbabwe'
+};
+
+// Other spellings seen in FSE / official ISO names -> code.
+const COUNTRY_ALIASES = {
+  'usa': 'US', 'united states of america': 'US', 'america': 'US',
+  'uk': 'GB', 'great britain': 'GB', 'britain': 'GB', 'england': 'GB',
+  'scotland': 'GB', 'wales': 'GB', 'northern ireland': 'GB',
+  'united kingdom of great britain and northern ireland': 'GB',
+  'russian federation': 'RU',
+  'korea': 'KR', 'republic of korea': 'KR', 'korea republic of': 'KR',
+  'korea south': 'KR',
+  'korea north': 'KP', 'democratic peoples republic of korea': 'KP',
+  'iran islamic republic of': 'IR', 'syrian arab republic': 'SY',
+  'lao peoples democratic republic': 'LA', 'viet nam': 'VN',
+  'ivory coast': 'CI', 'cote divoire': 'CI', 'czech republic': 'CZ',
+  'macedonia': 'MK', 'former yugoslav republic of macedonia': 'MK',
+  'burma': 'MM', 'taiwan province of china': 'TW', 'republic of china': 'TW',
+  'bolivia plurinational state of': 'BO',
+  'venezuela bolivarian republic of': 'VE',
+  'tanzania united republic of': 'TZ', 'moldova republic of': 'MD',
+  'brunei darussalam': 'BN', 'cabo verde': 'CV', 'swaziland': 'SZ',
+  'east timor': 'TL', 'holy see': 'VA', 'vatican': 'VA',
+  'micronesia federated states of': 'FM',
+  'federated states of micronesia': 'FM',
+  'palestine state of': 'PS', 'palestinian territory': 'PS',
+  'congo kinshasa': 'CD', 'democratic republic of the congo': 'CD',
+  'congo democratic republic of the': 'CD', 'zaire': 'CD',
+  'congo dr': 'CD', 'dr congo': 'CD',
+  'congo': 'CG', 'congo brazzaville': 'CG', 'congo republic of': 'CG',
+  'falkland islands malvinas': 'FK', 'turkey': 'TR',
+  'hong kong sar': 'HK', 'macau': 'MO',
+  'virgin islands us': 'VI', 'us virgin islands': 'VI',
+  'united states virgin islands': 'VI',
+  'virgin islands british': 'VG', 'gambia the': 'GM', 'the gambia': 'GM',
+  'bahamas the': 'BS', 'the bahamas': 'BS',
+  'netherlands the': 'NL', 'the netherlands': 'NL', 'holland': 'NL',
+  'saint martin french part': 'MF', 'sint maarten dutch part': 'SX',
+  'bonaire': 'BQ', 'bonaire sint eustatius and saba': 'BQ',
+  'reunion': 'RE', 'curacao': 'CW', 'aland islands': 'AX',
+  'saint barthelemy': 'BL', 'sao tome and principe': 'ST',
+  'saint helena ascension and tristan da cunha': 'SH',
+  'united states minor outlying islands': 'UM',
+  'pitcairn': 'PN', 'cocos islands': 'CC', 'keeling islands': 'CC'
+};
+
+// ISO 3166-2 subdivisions -> display name, for countries FSE fills in.
+const SUBDIVISIONS = {
+  US: {
+    AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas',
+    CA: 'California', CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware',
+    DC: 'District of Columbia', FL: 'Florida', GA: 'Georgia', HI: 'Hawaii',
+    ID: 'Idaho', IL: 'Illinois', IN: 'Indiana', IA: 'Iowa', KS: 'Kansas',
+    KY: 'Kentucky', LA: 'Louisiana', ME: 'Maine', MD: 'Maryland',
+    MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+    MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska',
+    NV: 'Nevada', NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico',
+    NY: 'New York', NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio',
+    OK: 'Oklahoma', OR: 'Oregon', PA: 'Pennsylvania', RI: 'Rhode Island',
+    SC: 'South Carolina', SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas',
+    UT: 'Utah', VT: 'Vermont', VA: 'Virginia', WA: 'Washington',
+    WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming',
+    AS: 'American Samoa', GU: 'Guam', MP: 'Northern Mariana Islands',
+    PR: 'Puerto Rico', UM: 'U.S. Minor Outlying Islands',
+    VI: 'U.S. Virgin Islands'
+  },
+  CA: {
+    AB: 'Alberta', BC: 'British Columbia', MB: 'Manitoba',
+    NB: 'New Brunswick', NL: 'Newfoundland and Labrador',
+    NS: 'Nova Scotia', NT: 'Northwest Territories', NU: 'Nunavut',
+    ON: 'Ontario', PE: 'Prince Edward Island', QC: 'Quebec',
+    SK: 'Saskatchewan', YT: 'Yukon'
+  },
+  AU: {
+    ACT: 'Australian Capital Territory', NSW: 'New South Wales',
+    NT: 'Northern Territory', QLD: 'Queensland', SA: 'South Australia',
+    TAS: 'Tasmania', VIC: 'Victoria', WA: 'Western Australia'
+  },
+  BR: {
+    AC: 'Acre', AL: 'Alagoas', AP: 'Amapá', AM: 'Amazonas', BA: 'Bahia',
+    CE: 'Ceará', DF: 'Distrito Federal', ES: 'Espírito Santo',
+    GO: 'Goiás', MA: 'Maranhão', MT: 'Mato Grosso',
+    MS: 'Mato Grosso do Sul', MG: 'Minas Gerais', PA: 'Pará',
+    PB: 'Paraíba', PR: 'Paraná', PE: 'Pernambuco', PI: 'Piauí',
+    RJ: 'Rio de Janeiro', RN: 'Rio Grande do Norte',
+    RS: 'Rio Grande do Sul', RO: 'Rondônia', RR: 'Roraima',
+    SC: 'Santa Catarina', SP: 'São Paulo', SE: 'Sergipe', TO: 'Tocantins'
+  },
+  MX: {
+    AGU: 'Aguascalientes', BCN: 'Baja California',
+    BCS: 'Baja California Sur', CAM: 'Campeche', CHP: 'Chiapas',
+    CHH: 'Chihuahua', CMX: 'Ciudad de México', COA: 'Coahuila',
+    COL: 'Colima', DUR: 'Durango', GUA: 'Guanajuato', GRO: 'Guerrero',
+    HID: 'Hidalgo', JAL: 'Jalisco', MEX: 'México', MIC: 'Michoacán',
+    MOR: 'Morelos', NAY: 'Nayarit', NLE: 'Nuevo León', OAX: 'Oaxaca',
+    PUE: 'Puebla', QUE: 'Querétaro', ROO: 'Quintana Roo',
+    SLP: 'San Luis Potosí', SIN: 'Sinaloa', SON: 'Sonora',
+    TAB: 'Tabasco', TAM: 'Tamaulipas', TLA: 'Tlaxcala', VER: 'Veracruz',
+    YUC: 'Yucatán', ZAC: 'Zacatecas'
+  }
+};
+
+const SUBDIVISION_ALIASES = {
+  CA: { 'yukon territory': 'YT', 'newfoundland': 'NL', 'labrador': 'NL' },
+  MX: {
+    'distrito federal': 'CMX', 'mexico city': 'CMX',
+    'estado de mexico': 'MEX', 'state of mexico': 'MEX',
+    'coahuila de zaragoza': 'COA', 'michoacan de ocampo': 'MIC',
+    'veracruz de ignacio de la llave': 'VER'
+  }
+};
+
+// Lower-case, no accents, "&" as "and", "St." as "saint", punctuation as
+// spaces, so "Bosnia And Herzegovina" and "bosnia & herzegovina" match.
+function key(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’`.]/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .replace(/^st /, 'saint ')
+    .replace(/ st /g, ' saint ');
+}
+
+const countryByKey = new Map();
+for (const [code, name] of Object.entries(COUNTRIES)) {
+  countryByKey.set(key(name), code);
+}
+for (const [alias, code] of Object.entries(COUNTRY_ALIASES)) {
+  countryByKey.set(key(alias), code);
+}
+
+const subdivisionByKey = {};
+for (const [country, subs] of Object.entries(SUBDIVISIONS)) {
+  const m = new Map();
+  for (const [code, name] of Object.entries(subs)) {
+    m.set(key(name), code);
+    m.set(code.toLowerCase(), code); // already abbreviated, e.g. "AK"
+  }
+  for (const [alias, code] of Object.entries(SUBDIVISION_ALIASES[country] || {})) {
+    m.set(key(alias), code);
+  }
+  subdivisionByKey[country] = m;
+}
+
+// Free-text country -> ISO 3166-1 alpha-2 code, or null.
+Regions.countryCode = function countryCode(text) {
+  const k = key(text);
+  if (!k) return null;
+  if (k.length === 2 && COUNTRIES[k.toUpperCase()]) return k.toUpperCase();
+  return countryByKey.get(k) || null;
+};
+
+// Free-text state within a country code -> ISO 3166-2 code ("US-AK"), or null.
+Regions.stateCode = function stateCode(country, text) {
+  const m = country && subdivisionByKey[String(country).toUpperCase()];
+  if (!m) return null;
+  const code = m.get(key(text));
+  return code ? `${String(country).toUpperCase()}-${code}` : null;
+};
+
+Regions.countryName = function countryName(code) {
+  return (code && COUNTRIES[String(code).toUpperCase()]) || null;
+};
+
+Regions.stateName = function stateName(code) {
+  const [country, sub] = String(code || '').toUpperCase().split('-');
+  return (SUBDIVISIONS[country] && SUBDIVISIONS[country][sub]) || null;
+};
+
+// Flag emoji from the regional indicator letters of an alpha-2 code.
+Regions.flag = function flag(code) {
+  const c = String(code || '').toUpperCase();
+  if (!/^[A-Z]{2}$/.test(c) || !COUNTRIES[c]) return '';
+  return String.fromCodePoint(...Array.from(c, ch => 0x1f1e6 + ch.charCodeAt(0) - 65));
+};
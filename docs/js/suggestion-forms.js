@@ -20,12 +20,11 @@
     const countryListEl = $('new-country-list');
     const stateListEl = $('new-state-list');
 
-    // Countries (required)
+    // Countries (required): display names for the ISO codes in the data
     if (countryListEl && typeof global.Search.countries === 'function') {
       const countries = global.Search.countries() || [];
-      // normalize to uppercase for comparison
       allowedCountries = countries
-        .map((c) => toProperCase(String(c).trim()))
+        .map((c) => global.Search.countryLabel(c).trim())
         .filter(Boolean);
       countryListEl.innerHTML = '';
       allowedCountries.forEach((c) => {
@@ -39,7 +38,7 @@
     if (stateListEl && typeof global.Search.states === 'function') {
       const states = global.Search.states() || [];
       allowedStates = states
-        .map((s) => toProperCase(String(s).trim()))
+        .map((s) => global.Search.stateLabel(s).trim())
         .filter(Boolean);
       stateListEl.innerHTML = '';
       allowedStates.forEach((s) => {
@@ -50,14 +49,14 @@
     }
   }
 
-    function toProperCase(str) {
-    if (!str) return '';
-    return str
-        .toLowerCase()
-        .split(/\s+/)
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1))
-        .join(' ');
-    }
+  // Also accept other spellings of a listed country ("Bosnia And
+  // Herzegovina", "USA") by comparing ISO codes.
+  function isKnownCountry(text) {
+    const norm = text.trim().toLowerCase();
+    if (allowedCountries.some((c) => c.toLowerCase() === norm)) return true;
+    const code = global.Regions && global.Regions.countryCode(text);
+    return !!code && (global.Search.countries() || []).includes(code.toLowerCase());
+  }
 
 
   function showModal(modalId) {
@@ -622,11 +621,7 @@
 
     // Country must match known list, if we have one
     if (allowedCountries && allowedCountries.length) {
-      const countryNorm = country.trim();
-      const match = allowedCountries.some(
-        (c) => c.toLowerCase() === countryNorm.toLowerCase()
-      );
-      if (!match) {
+      if (!isKnownCountry(country)) {
         statusEl.textContent =
           'Country must match one of the existing countries in the map list (use the suggestions as you type).';
         statusEl.className = 'suggest-status error';
@@ -0,0 +1,193 @@
+// Structured diff between two airport FeatureCollections, plus a Markdown
+// rendering of it for human review of each data refresh.
+
+import { haversineNm } from "./geo.js";
+
+// Properties we report on, keyed by the change category used in the report.
+const WATCHED_FIELDS = {
+  runway: "longestRwy",
+  surface: "surfaceType",
+  size: "size",
+  services: "services",
+  irl: "irlicao"
+};
+
+// Anything closer than this is float noise, not a relocation.
+const MOVE_THRESHOLD_NM = 0.01;
+
+function indexByIcao(collection) {
+  const map = new Map();
+  const features = collection && Array.isArray(collection.features)
+    ? collection.features
+    : [];
+  for (const f of features) {
+    const icao = f && f.properties && f.properties.icao;
+    if (icao) map.set(icao, f);
+  }
+  return map;
+}
+
+function summarize(f) {
+  const p = f.properties || {};
+  const [lon, lat] = (f.geometry && f.geometry.coordinates) || [];
+  return { icao: p.icao, name: p.name, country: p.country, lat, lon };
+}
+
+/**
+ * Compare two FeatureCollections by ICAO.
+ * Returns { summary, added, removed, moved, renamed, changed }.
+ */
+export function diffCollections(prev, next) {
+  const before = indexByIcao(prev);
+  const after = indexByIcao(next);
+
+  const added = [];
+  const removed = [];
+  const moved = [];
+  const renamed = [];
+  const changed = [];
+
+  for (const [icao, f] of after) {
+    if (!before.has(icao)) added.push(summarize(f));
+  }
+
+  for (const [icao, oldF] of before) {
+    const newF = after.get(icao);
+    if (!newF) {
+      removed.push(summarize(oldF));
+      continue;
+    }
+
+    const op = oldF.properties || {};
+    const np = newF.properties || {};
+
+    const [oldLon, oldLat] = oldF.geometry.coordinates;
+    const [newLon, newLat] = newF.geometry.coordinates;
+    const distanceNm = haversineNm(oldLat, oldLon, newLat, newLon);
+    if (distanceNm > MOVE_THRESHOLD_NM) {
+      moved.push({
+        icao,
+        name: np.name,
+        from: { lat: oldLat, lon: oldLon },
+        to: { lat: newLat, lon: newLon },
+        distanceNm: Number(distanceNm.toFixed(2))
+      });
+    }
+
+    if ((op.name ?? "") !== (np.name ?? "")) {
+      renamed.push({ icao, from: op.name ?? null, to: np.name ?? null });
+    }
+
+    const fields = {};
+    for (const [category, key] of Object.entries(WATCHED_FIELDS)) {
+      const a = op[key] ?? null;
+      const b = np[key] ?? null;
+      if (a !== b) fields[category] = { from: a, to: b };
+    }
+    if (Object.keys(fields).length) {
+      changed.push({ icao, name: np.name, fields });
+    }
+  }
+
+  const byIcao = (a, b) => String(a.icao).localeCompare(String(b.icao));
+  [added, removed, moved, renamed, changed].forEach((list) => list.sort(byIcao));
+
+  return {
+    summary: {
+      before: before.size,
+      after: after.size,
+      added: added.length,
+      removed: removed.length,
+      moved: moved.length,
+      renamed: renamed.length,
+      changed: changed.length
+    },
+    added,
+    removed,
+    moved,
+    renamed,
+    changed
+  };
+}
+
+// Escape pipes so free-text values don't break Markdown tables.
+function md(v) {
+  if (v === null || v === undefined || v === "") return "—";
+  return String(v).replace(/\|/g, "\\|");
+}
+
+function table(headers, rows) {
+  const lines = [
+    `| ${headers.join(" | ")} |`,
+    `| ${headers.map(() => "---").join(" | ")} |`
+  ];
+  for (const row of rows) lines.push(`| ${row.map(md).join(" | ")} |`);
+  return lines.join("\n");
+}
+
+/**
+ * Render a diff produced by diffCollections() as a Markdown changelog.
+ */
+export function renderChangelog(diff, { title = "Airport data changes", date } = {}) {
+  const s = diff.summary;
+  const out = [`# ${title}`, ""];
+  if (date) out.push(`Generated ${date}`, "");
+
+  out.push(
+    `${s.before} → ${s.after} airports: ` +
+      `${s.added} added, ${s.removed} removed, ${s.moved} moved, ` +
+      `${s.renamed} renamed, ${s.changed} with changed attributes.`,
+    ""
+  );
+
+  if (diff.added.length) {
+    out.push(`## Added (${diff.added.length})`, "");
+    out.push(table(
+      ["ICAO", "Name", "Country", "Lat", "Lon"],
+      diff.added.map((a) => [a.icao, a.name, a.country, a.lat, a.lon])
+    ), "");
+  }
+
+  if (diff.removed.length) {
+    out.push(`## Removed (${diff.removed.length})`, "");
+    out.push(table(
+      ["ICAO", "Name", "Country"],
+      diff.removed.map((a) => [a.icao, a.name, a.country])
+    ), "");
+  }
+
+  if (diff.moved.length) {
+    out.push(`## Moved (${diff.moved.length})`, "");
+    out.push(table(
+      ["ICAO", "Name", "From", "To", "Distance (nm)"],
+      diff.moved.map((m) => [
+        m.icao,
+        m.name,
+        `${m.from.lat}, ${m.from.lon}`,
+        `${m.to.lat}, ${m.to.lon}`,
+        m.distanceNm
+      ])
+    ), "");
+  }
+
+  if (diff.renamed.length) {
+    out.push(`## Renamed (${diff.renamed.length})`, "");
+    out.push(table(
+      ["ICAO", "Old name", "New name"],
+      diff.renamed.map((r) => [r.icao, r.from, r.to])
+    ), "");
+  }
+
+  if (diff.changed.length) {
+    out.push(`## Changed attributes (${diff.changed.length})`, "");
+    const rows = [];
+    for (const c of diff.changed) {
+      for (const [field, { from, to }] of Object.entries(c.fields)) {
+        rows.push([c.icao, c.name, field, from, to]);
+      }
+    }
+    out.push(table(["ICAO", "Name", "Field", "Old", "New"], rows), "");
+  }
+
+  return out.join("\n");
+}
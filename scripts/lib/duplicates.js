@@ -0,0 +1,20 @@
+// Near-duplicate / co-located airport detection for the build.
+//
+// The detection itself lives in docs/js/shared/duplicate-check.js, an ES
+// module the viewer loads too, so both run exactly the same code.
+
+import { DuplicateCheck } from "../../docs/js/shared/duplicate-check.js";
+
+export const DEFAULT_DUPLICATE_DISTANCE_NM = DuplicateCheck.DEFAULT_DISTANCE_NM;
+
+/**
+ * Suspect pairs in a FeatureCollection: airports within maxDistanceNm of each
+ * other, and links between airports with identical names in the same country
+ * or mapped to the same IRL ICAO (each such group joined by its shortest
+ * spanning tree).
+ *
+ * Returns { summary: { close, sameName, sameIrl }, pairs }.
+ */
+export function findDuplicates(collection, { maxDistanceNm = DEFAULT_DUPLICATE_DISTANCE_NM } = {}) {
+  return DuplicateCheck.find(collection.features, { maxDistanceNm });
+}
@@ -0,0 +1,23 @@
+// Exit codes and error type for the build scripts.
+//
+// Scheduled jobs branch on these, so existing values must never be reused
+// for a different meaning.
+
+export const EXIT = {
+  OK: 0,
+  FAILURE: 1, // unexpected error (network, I/O, bug)
+  SCHEMA: 2, // strict: source CSV is missing required columns
+  REJECTS: 3, // strict: too many rows rejected
+  COERCIONS: 4, // strict: too many rows coerced
+  IRL_INTEGRITY: 5, // strict: IRL mapping sheet failed --fail-on-irl checks
+  NO_CHANGES: 6 // not an error: inputs unchanged since the last build, nothing written
+};
+
+// An expected, reportable build failure with a specific exit code.
+export class BuildError extends Error {
+  constructor(message, exitCode = EXIT.FAILURE) {
+    super(message);
+    this.name = "BuildError";
+    this.exitCode = exitCode;
+  }
+}
@@ -0,0 +1,174 @@
+// Alternate output formats for the airport FeatureCollection.
+//
+// Every exporter works off the same feature properties as the GeoJSON, so a
+// field added to the pipeline shows up in all formats without changes here.
+
+const FEET_TO_METERS = 0.3048;
+
+// Same palette as the viewer (gl-renderer.js colorFromProps), as KML aabbggrr.
+const KML_TYPE_COLORS = {
+  civil: "ff666666",
+  military: "ff2926ff",
+  water: "ffffc700"
+};
+
+const KML_SIZE_SCALES = {
+  small: 0.6,
+  medium: 0.9,
+  large: 1.2
+};
+
+// Same buckets as Search.classifySize / GlRenderer.render.
+function sizeBucket(size) {
+  const n = Number(size) || 0;
+  if (n < 1000) return "small";
+  if (n <= 3499) return "medium";
+  return "large";
+}
+
+function typeKey(type) {
+  const t = String(type || "").toLowerCase();
+  if (t.includes("mil")) return "military";
+  if (t.includes("water")) return "water";
+  return "civil";
+}
+
+function xml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  const s = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * Property names across all features, in first-seen order.
+ */
+export function propertyFields(features) {
+  const fields = new Set();
+  for (const f of features) {
+    for (const key of Object.keys(f.properties || {})) fields.add(key);
+  }
+  return Array.from(fields);
+}
+
+function latLon(f) {
+  const [lon, lat] = f.geometry.coordinates;
+  return { lat, lon };
+}
+
+export function toCsv(collection) {
+  const features = collection.features;
+  const fields = propertyFields(features);
+  const lines = [["lat", "lon", ...fields].map(csvCell).join(",")];
+  for (const f of features) {
+    const { lat, lon } = latLon(f);
+    const p = f.properties || {};
+    lines.push([lat, lon, ...fields.map((k) => p[k])].map(csvCell).join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Columnar layout: one array per field, aligned by feature index.
+export function toCompactJson(collection) {
+  const features = collection.features;
+  const fields = ["lat", "lon", ...propertyFields(features)];
+  const columns = Object.fromEntries(fields.map((k) => [k, []]));
+  for (const f of features) {
+    const { lat, lon } = latLon(f);
+    const p = f.properties || {};
+    columns.lat.push(lat);
+    columns.lon.push(lon);
+    for (const k of fields.slice(2)) columns[k].push(p[k] ?? null);
+  }
+  return JSON.stringify({ count: features.length, fields, columns });
+}
+
+export function toGpx(collection, { creator = "FSE Airports" } = {}) {
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${xml(creator)}" xmlns="http://www.topografix.com/GPX/1/1">`
+  ];
+  for (const f of collection.features) {
+    const { lat, lon } = latLon(f);
+    const p = f.properties || {};
+    const desc = [p.name, [p.city, p.state, p.country].filter(Boolean).join(", ")]
+      .filter(Boolean)
+      .join(" — ");
+    out.push(`  <wpt lat="${lat}" lon="${lon}">`);
+    if (Number.isFinite(p.elev)) {
+      out.push(`    <ele>${(p.elev * FEET_TO_METERS).toFixed(1)}</ele>`);
+    }
+    out.push(`    <name>${xml(p.icao)}</name>`);
+    out.push(`    <desc>${xml(desc)}</desc>`);
+    out.push("    <sym>Airport</sym>");
+    out.push(`    <type>${xml(p.type)}</type>`);
+    out.push("  </wpt>");
+  }
+  out.push("</gpx>");
+  return out.join("\n") + "\n";
+}
+
+export function toKml(collection, { name = "FSE Airports" } = {}) {
+  const fields = propertyFields(collection.features);
+  const out = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    "<Document>",
+    `  <name>${xml(name)}</name>`
+  ];
+
+  for (const [type, color] of Object.entries(KML_TYPE_COLORS)) {
+    for (const [bucket, scale] of Object.entries(KML_SIZE_SCALES)) {
+      out.push(
+        `  <Style id="${type}-${bucket}">`,
+        `    <IconStyle><color>${color}</color><scale>${scale}</scale>`,
+        "      <Icon><href>http://maps.google.com/mapfiles/kml/shapes/airports.png</href></Icon>",
+        "    </IconStyle>",
+        "  </Style>"
+      );
+    }
+  }
+
+  for (const f of collection.features) {
+    const { lat, lon } = latLon(f);
+    const p = f.properties || {};
+    const place = [p.city, p.state, p.country].filter(Boolean).join(", ");
+    out.push(
+      "  <Placemark>",
+      `    <name>${xml(p.icao)}</name>`,
+      `    <description>${xml([p.name, place].filter(Boolean).join("\n"))}</description>`,
+      `    <styleUrl>#${typeKey(p.type)}-${sizeBucket(p.size)}</styleUrl>`,
+      "    <ExtendedData>"
+    );
+    for (const k of fields) {
+      const v = p[k];
+      if (v === null || v === undefined) continue;
+      const s = typeof v === "object" ? JSON.stringify(v) : v;
+      out.push(`      <Data name="${xml(k)}"><value>${xml(s)}</value></Data>`);
+    }
+    out.push(
+      "    </ExtendedData>",
+      `    <Point><coordinates>${lon},${lat}</coordinates></Point>`,
+      "  </Placemark>"
+    );
+  }
+
+  out.push("</Document>", "</kml>");
+  return out.join("\n") + "\n";
+}
+
+// Format name -> { extension, render }
+export const EXPORT_FORMATS = {
+  kml: { extension: ".kml", render: toKml },
+  gpx: { extension: ".gpx", render: toGpx },
+  csv: { extension: ".csv", render: toCsv },
+  json: { extension: ".compact.json", render: toCompactJson }
+};
@@ -0,0 +1,21 @@
+// Geographic helpers shared by the build scripts.
+
+const EARTH_RADIUS_NM = 3440.065;
+
+const toRad = (d) => (d * Math.PI) / 180;
+
+// Great-circle distance in nautical miles.
+export function haversineNm(lat1, lon1, lat2, lon2) {
+  const phi1 = toRad(lat1);
+  const phi2 = toRad(lat2);
+  const dPhi = toRad(lat2 - lat1);
+  const dLambda = toRad(lon2 - lon1);
+
+  const a =
+    Math.sin(dPhi / 2) * Math.sin(dPhi / 2) +
+    Math.cos(phi1) * Math.cos(phi2) *
+    Math.sin(dLambda / 2) * Math.sin(dLambda / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_NM * c;
+}
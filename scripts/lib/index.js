@@ -0,0 +1,50 @@
+// Public API of the airport build pipeline.
+//
+//   import { parseFseCsv, buildIrlMap, buildCollection } from "fse-map-viewer";
+//
+//   const fse = parseFseCsv(await readSource("airports.csv"));
+//   const irlMap = buildIrlMap(parseCsv(await readSource("irl.csv")));
+//   const { collection, issues } = buildCollection(fse.records, irlMap, {
+//     expectedColumns: fse.expectedColumns
+//   });
+
+export {
+  REQUIRED_FSE_COLUMNS,
+  toNumber,
+  decodeServices,
+  unknownServiceBits,
+  parseCsv,
+  parseFseCsv,
+  buildIrlMap,
+  rowToFeature,
+  buildCollection
+} from "./pipeline.js";
+export { compileRules, loadRules, getDefaultRules, DEFAULT_RULES_PATH } from "./rules.js";
+export { validateFseRecords, countIssueRows } from "./validate-fse.js";
+export { checkIrlIntegrity, IRL_CHECKS } from "./irl-integrity.js";
+export {
+  OURAIRPORTS_COLUMNS,
+  indexOurAirports,
+  ourAirportsProperties,
+  enrichCollection,
+  RUNWAY_COLUMNS,
+  runwayFromRow,
+  indexRunways,
+  attachRunways
+} from "./ourairports.js";
+export {
+  DEFAULT_MATCH_OPTIONS,
+  nameSimilarity,
+  indexReferenceAirports,
+  scoreCandidate,
+  findIrlCandidates,
+  attachIrlCandidates
+} from "./irl-match.js";
+export { normalizeRegion, countryName, stateName } from "./regions.js";
+export { findDuplicates, DEFAULT_DUPLICATE_DISTANCE_NM } from "./duplicates.js";
+export { isUrl, loadSource, readSource, sha256 } from "./sources.js";
+export { diffCollections, renderChangelog } from "./dataset-diff.js";
+export { EXPORT_FORMATS, toCsv, toCompactJson, toGpx, toKml } from "./exporters.js";
+export { buildTiles, DEFAULT_TILE_SIZE } from "./tiles.js";
+export { haversineNm } from "./geo.js";
+export { BuildError, EXIT } from "./errors.js";
@@ -0,0 +1,102 @@
+// Integrity checks for the FSE -> IRL ICAO mapping sheet.
+
+// Real-world ICAO location indicators: four uppercase letters or digits.
+const IRL_CODE_PATTERN = /^[A-Z0-9]{4}$/;
+
+function isBlankIrl(value) {
+  return !value || value.toLowerCase() === "null";
+}
+
+// Check names, as accepted by --fail-on-irl.
+export const IRL_CHECKS = [
+  "duplicates",
+  "shared",
+  "unknown",
+  "malformed",
+  "missing"
+];
+
+/**
+ * Check the mapping sheet rows (FSE-ICAO, IRL-ICAO) against the FSE ICAOs.
+ * `row` numbers are spreadsheet rows (header is row 1).
+ *
+ * Returns { summary, duplicates, shared, unknown, malformed, missing }:
+ *   duplicates  FSE-ICAO listed more than once (the last row wins in the map)
+ *   shared      one IRL ICAO mapped from several FSE airports
+ *   unknown     sheet rows whose FSE-ICAO is not in the FSE data
+ *   malformed   IRL codes that are not 4 uppercase letters/digits
+ *   missing     FSE airports with no row in the sheet
+ */
+export function checkIrlIntegrity(irlRows, fseIcaos) {
+  const fseSet = new Set(fseIcaos);
+  const byFse = new Map(); // FSE-ICAO -> [{ row, irl }]
+  const byIrl = new Map(); // IRL-ICAO -> Set of FSE-ICAO
+  const unknown = [];
+  const malformed = [];
+
+  irlRows.forEach((r, i) => {
+    const row = i + 2;
+    const fse = r["FSE-ICAO"]?.trim();
+    const irlRaw = r["IRL-ICAO"]?.trim() ?? "";
+    const irl = isBlankIrl(irlRaw) ? null : irlRaw;
+    if (!fse) return;
+
+    if (!byFse.has(fse)) byFse.set(fse, []);
+    byFse.get(fse).push({ row, irl });
+
+    if (!fseSet.has(fse)) unknown.push({ row, fse, irl });
+
+    if (irl !== null) {
+      if (!IRL_CODE_PATTERN.test(irl)) {
+        malformed.push({
+          row,
+          fse,
+          irl,
+          reason: irl.length !== 4
+            ? `length ${irl.length}, expected 4`
+            : "contains characters other than A-Z and 0-9"
+        });
+      }
+      if (!byIrl.has(irl)) byIrl.set(irl, new Set());
+      byIrl.get(irl).add(fse);
+    }
+  });
+
+  const duplicates = [];
+  for (const [fse, entries] of byFse) {
+    if (entries.length < 2) continue;
+    const values = new Set(entries.map((e) => e.irl));
+    duplicates.push({
+      fse,
+      rows: entries.map((e) => e.row),
+      values: entries.map((e) => e.irl),
+      conflicting: values.size > 1,
+      used: entries[entries.length - 1].irl
+    });
+  }
+
+  const shared = [];
+  for (const [irl, fses] of byIrl) {
+    if (fses.size > 1) shared.push({ irl, fse: Array.from(fses).sort() });
+  }
+
+  const missing = Array.from(fseSet)
+    .filter((icao) => !byFse.has(icao))
+    .sort();
+
+  return {
+    summary: {
+      sheetRows: irlRows.length,
+      duplicates: duplicates.length,
+      shared: shared.length,
+      unknown: unknown.length,
+      malformed: malformed.length,
+      missing: missing.length
+    },
+    duplicates,
+    shared,
+    unknown,
+    malformed,
+    missing
+  };
+}
@@ -0,0 +1,254 @@
+// IRL ICAO candidates for FSE airports with no (or a mismatched) IRL mapping,
+// proposed from a reference dataset of real airports (OurAirports
+// airports.csv layout) for someone to review before editing the sheet.
+//
+// Each candidate is scored on three signals, each 0..1:
+//   distance  1 at the FSE position, falling linearly to 0 at maxDistanceNm
+//   name      trigram similarity of the names, ignoring words like "airport"
+//   elevation 1 when equal, falling linearly to 0 at ELEVATION_SPAN_FT apart
+// and `confidence` is their weighted sum (elevation's weight moves to
+// distance when either side has no elevation).
+
+import { haversineNm } from "./geo.js";
+
+const WEIGHTS = { distance: 0.5, name: 0.35, elevation: 0.15 };
+const ELEVATION_SPAN_FT = 500;
+const CELL_DEG = 1;
+const NM_PER_DEG = 60;
+
+// Words that say nothing about which airport it is.
+const NAME_STOPWORDS = new Set([
+  "airport",
+  "aeroporto",
+  "aeropuerto",
+  "aerodrome",
+  "airfield",
+  "airstrip",
+  "field",
+  "intl",
+  "international",
+  "regional",
+  "municipal",
+  "county",
+  "strip",
+  "the"
+]);
+
+export const DEFAULT_MATCH_OPTIONS = {
+  maxDistanceNm: 5,
+  limit: 3,
+  minConfidence: 0.3
+};
+
+function toNumber(value) {
+  const s = String(value ?? "").trim();
+  if (s === "") return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeName(name) {
+  return String(name ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, " ")
+    .split(" ")
+    .filter((w) => w && !NAME_STOPWORDS.has(w))
+    .join(" ");
+}
+
+function trigrams(s) {
+  const padded = `  ${s} `;
+  const set = new Set();
+  for (let i = 0; i < padded.length - 2; i++) set.add(padded.slice(i, i + 3));
+  return set;
+}
+
+/**
+ * Dice coefficient of the names' trigrams (0..1), after dropping accents,
+ * punctuation and generic words.
+ */
+export function nameSimilarity(a, b) {
+  const na = normalizeName(a);
+  const nb = normalizeName(b);
+  if (!na || !nb) return 0;
+  if (na === nb) return 1;
+
+  const ta = trigrams(na);
+  const tb = trigrams(nb);
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return (2 * shared) / (ta.size + tb.size);
+}
+
+function cellKey(lat, lon) {
+  return `${Math.floor(lat / CELL_DEG)}_${Math.floor(lon / CELL_DEG)}`;
+}
+
+/**
+ * Turn reference rows (parseCsv output, OurAirports layout) into a grid
+ * index of { code, name, lat, lon, elev }. Closed airports and rows
+ * without a code or position are skipped.
+ */
+export function indexReferenceAirports(rows) {
+  const cells = new Map();
+  let count = 0;
+
+  for (const row of rows) {
+    if (String(row.type ?? "").trim() === "closed") continue;
+    const code = [row.icao_code, row.gps_code, row.ident]
+      .map((c) => String(c ?? "").trim().toUpperCase())
+      .find(Boolean);
+    const lat = toNumber(row.latitude_deg);
+    const lon = toNumber(row.longitude_deg);
+    if (!code || lat === null || lon === null) continue;
+
+    const key = cellKey(lat, lon);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push({
+      code,
+      name: String(row.name ?? "").trim(),
+      lat,
+      lon,
+      elev: toNumber(row.elevation_ft)
+    });
+    count++;
+  }
+
+  return { cells, count };
+}
+
+// Reference airports in the cells that can hold a point within maxDistanceNm
+// of (lat, lon). Rows span maxDistanceNm of latitude; columns are widened by
+// 1 / cos(latitude) at the band's most poleward edge and wrap across the
+// antimeridian, so nothing in range is missed at high latitudes or with a
+// large maxDistanceNm.
+function nearby(index, lat, lon, maxDistanceNm) {
+  const spanDeg = maxDistanceNm / NM_PER_DEG;
+  const row = Math.floor(lat / CELL_DEG);
+  const col = Math.floor(lon / CELL_DEG);
+  const rows = Math.ceil(spanDeg / CELL_DEG);
+
+  const colCount = 360 / CELL_DEG;
+  const firstCol = -180 / CELL_DEG;
+  const edgeLat = Math.min(90, Math.abs(lat) + spanDeg);
+  const cosLat = Math.cos((edgeLat * Math.PI) / 180);
+  const lonSpanDeg = cosLat > 1e-6 ? spanDeg / cosLat : 180;
+  const cols = Math.ceil(lonSpanDeg / CELL_DEG);
+  const colRange = 2 * cols + 1 >= colCount
+    ? Array.from({ length: colCount }, (_, i) => firstCol + i)
+    : Array.from({ length: 2 * cols + 1 }, (_, i) => {
+        const c = col - cols + i;
+        return ((c - firstCol) % colCount + colCount) % colCount + firstCol;
+      });
+
+  const out = [];
+  for (let dr = -rows; dr <= rows; dr++) {
+    for (const c of colRange) {
+      const hits = index.cells.get(`${row + dr}_${c}`);
+      if (hits) out.push(...hits);
+    }
+  }
+  return out;
+}
+
+/**
+ * Score one reference airport against FSE properties at (lat, lon).
+ */
+export function scoreCandidate(p, lat, lon, ref, maxDistanceNm) {
+  const distanceNm = haversineNm(lat, lon, ref.lat, ref.lon);
+  const distance = Math.max(0, 1 - distanceNm / maxDistanceNm);
+  const name = nameSimilarity(p.name, ref.name);
+
+  const hasElev = Number.isFinite(p.elev) && ref.elev !== null;
+  const elevDiffFt = hasElev ? Math.abs(p.elev - ref.elev) : null;
+  const elevation = hasElev ? Math.max(0, 1 - elevDiffFt / ELEVATION_SPAN_FT) : null;
+
+  const confidence = hasElev
+    ? WEIGHTS.distance * distance + WEIGHTS.name * name + WEIGHTS.elevation * elevation
+    : (WEIGHTS.distance + WEIGHTS.elevation) * distance + WEIGHTS.name * name;
+
+  const round = (n, d) => (n === null ? null : Number(n.toFixed(d)));
+  return {
+    code: ref.code,
+    name: ref.name,
+    distanceNm: round(distanceNm, 2),
+    elevDiffFt,
+    scores: {
+      distance: round(distance, 2),
+      name: round(name, 2),
+      elevation: round(elevation, 2)
+    },
+    confidence: round(confidence, 2)
+  };
+}
+
+/**
+ * Propose IRL ICAO candidates for unmapped ("none") and mismatched
+ * ("incorrect") features of a collection.
+ *
+ * options: maxDistanceNm, limit (candidates per airport), minConfidence;
+ * see DEFAULT_MATCH_OPTIONS.
+ *
+ * Returns { summary, airports } where airports is
+ * [{ icao, name, status, irlicao, candidates }] sorted by best confidence,
+ * only for airports with at least one candidate.
+ */
+export function findIrlCandidates(collection, index, options = {}) {
+  const { maxDistanceNm, limit, minConfidence } = {
+    ...DEFAULT_MATCH_OPTIONS,
+    ...options
+  };
+
+  const airports = [];
+  let checked = 0;
+
+  for (const feature of collection.features) {
+    const p = feature.properties;
+    const status = !p.hasRealAirport ? "none" : p.icaoCorrect ? null : "incorrect";
+    if (!status) continue;
+    checked++;
+
+    const [lon, lat] = feature.geometry.coordinates;
+    const candidates = nearby(index, lat, lon, maxDistanceNm)
+      .map((ref) => scoreCandidate(p, lat, lon, ref, maxDistanceNm))
+      .filter((c) => c.distanceNm <= maxDistanceNm && c.confidence >= minConfidence)
+      .sort((a, b) => b.confidence - a.confidence || a.distanceNm - b.distanceNm)
+      .slice(0, limit);
+
+    if (candidates.length) {
+      airports.push({ icao: p.icao, name: p.name, status, irlicao: p.irlicao, candidates });
+    }
+  }
+
+  airports.sort((a, b) => b.candidates[0].confidence - a.candidates[0].confidence);
+
+  return {
+    summary: {
+      checked,
+      withCandidates: airports.length,
+      none: airports.filter((a) => a.status === "none").length,
+      incorrect: airports.filter((a) => a.status === "incorrect").length
+    },
+    airports
+  };
+}
+
+/**
+ * Copy the top candidates onto unmapped features as `irlCandidates`
+ * ([{ code, name, distanceNm, confidence }]) for the viewer popup.
+ * Modifies the collection in place.
+ */
+export function attachIrlCandidates(collection, result) {
+  const byIcao = new Map(
+    result.airports.filter((a) => a.status === "none").map((a) => [a.icao, a])
+  );
+  for (const feature of collection.features) {
+    const match = byIcao.get(feature.properties.icao);
+    if (!match) continue;
+    feature.properties.irlCandidates = match.candidates.map(
+      ({ code, name, distanceNm, confidence }) => ({ code, name, distanceNm, confidence })
+    );
+  }
+}
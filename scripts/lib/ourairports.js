@@ -0,0 +1,249 @@
+// Optional enrichment from an OurAirports-format airports.csv
+// (https://ourairports.com/data/), joined on each feature's IRL ICAO.
+//
+// Adds to matched features:
+//   iata              IATA code
+//   gpsCode           GPS code
+//   localCode         local (national) code, e.g. FAA LID
+//   altNames          other names: OurAirports name and municipality when they
+//                     differ from FSE's, plus the comma-separated keywords
+//   formerCodes       keywords that look like ICAO codes the airport used to
+//                     have: four upper-case letters in the same ICAO region
+//                     (first letter) as its current code, and not a known
+//                     agency acronym such as USAF or NASA
+//   scheduledService  true when the airport has scheduled airline service
+//   homeLink          airport website
+// Features without an IRL ICAO, or whose IRL ICAO is not in the file, are
+// left untouched.
+//
+// A runways.csv in the same layout adds a `runways` array to each matched
+// feature: [{ ident, heading, length, width, surface, lighted, closed }].
+
+import { BuildError } from "./errors.js";
+
+export const OURAIRPORTS_COLUMNS = [
+  "ident",
+  "name",
+  "municipality",
+  "scheduled_service",
+  "gps_code",
+  "iata_code",
+  "local_code",
+  "keywords"
+];
+
+// Keywords of this shape may be former ICAO codes rather than names.
+const FORMER_CODE_RE = /^[A-Z]{4}$/;
+
+// Four-letter keywords that are operators or services, not codes.
+const NOT_CODES = new Set([
+  "USAF", "USMC", "USCG", "NASA", "NAVY", "ARMY", "RNAS", "ANGB", "RAAF", "RCAF", "NOAA"
+]);
+
+// Columns tried for the join, most specific first. Newer dumps have a
+// dedicated icao_code; older ones only ident (usually the ICAO) and gps_code.
+const JOIN_COLUMNS = ["icao_code", "ident", "gps_code"];
+
+function clean(value) {
+  const s = String(value ?? "").trim();
+  return s === "" ? null : s;
+}
+
+/**
+ * Index OurAirports rows (parseCsv output) by upper-case code.
+ * Throws a BuildError when required columns are missing.
+ */
+export function indexOurAirports(rows) {
+  if (rows.length) {
+    const missing = OURAIRPORTS_COLUMNS.filter((c) => !(c in rows[0]));
+    if (missing.length) {
+      throw new BuildError(
+        `OurAirports CSV is missing columns: ${missing.join(", ")}`
+      );
+    }
+  }
+
+  const index = new Map();
+  for (const column of JOIN_COLUMNS) {
+    for (const row of rows) {
+      const code = clean(row[column])?.toUpperCase();
+      if (code && !index.has(code)) index.set(code, row);
+    }
+  }
+  return index;
+}
+
+/**
+ * The enrichment properties for one OurAirports row, given the FSE
+ * properties (used to skip alternate names FSE already has).
+ */
+export function ourAirportsProperties(row, base = {}) {
+  const seen = new Set(
+    [base.name, base.city, base.icao, row.iata_code]
+      .filter(Boolean)
+      .map((s) => String(s).toLowerCase())
+  );
+  const altNames = [];
+  const formerCodes = [];
+  const addName = (value) => {
+    const name = clean(value);
+    if (!name || seen.has(name.toLowerCase())) return;
+    seen.add(name.toLowerCase());
+    altNames.push(name);
+  };
+  const current = [base.icao, row.ident, row.icao_code, row.gps_code]
+    .map((c) => String(c ?? "").toUpperCase());
+  // ICAO regions (first letter) of the airport's current codes
+  const regions = new Set(current.filter((c) => FORMER_CODE_RE.test(c)).map((c) => c[0]));
+  const addKeyword = (value) => {
+    const code = clean(value);
+    if (code && FORMER_CODE_RE.test(code) && !NOT_CODES.has(code) && regions.has(code[0])) {
+      if (!current.includes(code) && !formerCodes.includes(code)) formerCodes.push(code);
+      return;
+    }
+    addName(value);
+  };
+
+  addName(row.name);
+  addName(row.municipality);
+  String(row.keywords ?? "").split(",").forEach(addKeyword);
+
+  return {
+    iata: clean(row.iata_code),
+    gpsCode: clean(row.gps_code),
+    localCode: clean(row.local_code),
+    altNames,
+    formerCodes,
+    scheduledService: clean(row.scheduled_service)?.toLowerCase() === "yes",
+    homeLink: clean(row.home_link)
+  };
+}
+
+/**
+ * Add OurAirports fields to every feature whose IRL ICAO is in `index`
+ * (from indexOurAirports). Modifies the collection in place.
+ *
+ * Returns { matched, unmatched }: features joined, and features with an IRL
+ * ICAO that had no OurAirports row.
+ */
+export function enrichCollection(collection, index) {
+  let matched = 0;
+  let unmatched = 0;
+
+  for (const feature of collection.features) {
+    const p = feature.properties;
+    if (!p.irlicao) continue;
+
+    const row = index.get(String(p.irlicao).toUpperCase());
+    if (!row) {
+      unmatched++;
+      continue;
+    }
+
+    Object.assign(p, ourAirportsProperties(row, p));
+    matched++;
+  }
+
+  return { matched, unmatched };
+}
+
+export const RUNWAY_COLUMNS = [
+  "airport_ident",
+  "length_ft",
+  "width_ft",
+  "surface",
+  "lighted",
+  "closed",
+  "le_ident",
+  "he_ident",
+  "le_heading_degT"
+];
+
+function cleanNumber(value) {
+  const s = clean(value);
+  if (s === null) return null;
+  const n = Number(s);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * One runways.csv row as { ident, heading, length, width, surface, lighted,
+ * closed }. `heading` is the true heading of the low end; when the file has
+ * none it is estimated from the runway number (magnetic, so approximate).
+ */
+export function runwayFromRow(row) {
+  const le = clean(row.le_ident);
+  const he = clean(row.he_ident);
+
+  let heading = cleanNumber(row.le_heading_degT);
+  if (heading === null) {
+    const number = Number.parseInt(le, 10);
+    if (number >= 1 && number <= 36) heading = number * 10;
+  }
+
+  return {
+    ident: [le, he].filter(Boolean).join("/") || null,
+    heading: heading === null ? null : Math.round(heading) % 360,
+    length: cleanNumber(row.length_ft),
+    width: cleanNumber(row.width_ft),
+    surface: clean(row.surface),
+    lighted: clean(row.lighted) === "1",
+    closed: clean(row.closed) === "1"
+  };
+}
+
+/**
+ * Group runways.csv rows (parseCsv output) by upper-case airport ident.
+ * Throws a BuildError when required columns are missing.
+ */
+export function indexRunways(rows) {
+  if (rows.length) {
+    const missing = RUNWAY_COLUMNS.filter((c) => !(c in rows[0]));
+    if (missing.length) {
+      throw new BuildError(
+        `OurAirports runways CSV is missing columns: ${missing.join(", ")}`
+      );
+    }
+  }
+
+  const index = new Map();
+  for (const row of rows) {
+    const ident = clean(row.airport_ident)?.toUpperCase();
+    if (!ident) continue;
+    if (!index.has(ident)) index.set(ident, []);
+    index.get(ident).push(runwayFromRow(row));
+  }
+  return index;
+}
+
+/**
+ * Set `runways` on every feature whose IRL ICAO has runways in `runwayIndex`
+ * (from indexRunways). runways.csv is keyed by OurAirports ident, so pass the
+ * airports index (from indexOurAirports) when available to translate the IRL
+ * ICAO; otherwise the IRL ICAO is used as the ident directly. Runways are
+ * listed longest first. Modifies the collection in place.
+ *
+ * Returns { matched, runways }: features given runways, and runways attached.
+ */
+export function attachRunways(collection, runwayIndex, airportIndex = null) {
+  let matched = 0;
+  let attached = 0;
+
+  for (const feature of collection.features) {
+    const p = feature.properties;
+    if (!p.irlicao) continue;
+
+    const code = String(p.irlicao).toUpperCase();
+    const ident = clean(airportIndex?.get(code)?.ident)?.toUpperCase() ?? code;
+    const runways = runwayIndex.get(ident);
+    if (!runways) continue;
+
+    p.runways = runways
+      .slice()
+      .sort((a, b) => (b.length ?? -1) - (a.length ?? -1));
+    matched++;
+    attached += runways.length;
+  }
+
+  return { matched, runways: attached };
+}
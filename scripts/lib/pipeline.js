@@ -0,0 +1,291 @@
+// Core of the airport build: CSV parsing, IRL map, row -> feature conversion.
+//
+// Everything here is pure (text and rows in, data out, no logging) so other
+// tools can build custom datasets; update-airports.js is the CLI around it.
+// The only I/O is reading the default rules file (getDefaultRules) the first
+// time a function needs rules and none were passed in.
+
+import { parse } from "csv-parse/sync";
+import { normalizeRegion } from "./regions.js";
+import { getDefaultRules } from "./rules.js";
+import { validateFseRecords, countIssueRows } from "./validate-fse.js";
+
+// Columns we expect from the FSE CSV.
+// If any of these disappear or get renamed, we want to know.
+export const REQUIRED_FSE_COLUMNS = [
+  "icao",
+  "lat",
+  "lon",
+  "type",
+  "size",
+  "name",
+  "city",
+  "state",
+  "country",
+  "elev",
+  "surfaceType",
+  "longestRwy",
+  "services"
+];
+
+// Number, or null when the source value is blank / not numeric.
+export function toNumber(value) {
+  if (value === undefined || String(value).trim() === "") return null;
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Decode an FSE services code (bit mask) into { property: boolean } using the
+ * rules' services table. Every property is null when the code is null.
+ */
+export function decodeServices(code, services = getDefaultRules().services) {
+  const out = {};
+  for (const { bit, property } of services) {
+    out[property] = code === null ? null : (code & bit) !== 0;
+  }
+  return out;
+}
+
+/**
+ * Bits set in the features' services codes that the services table does not
+ * list, as { bit: airports }. Anything here means the table is out of step
+ * with the FSE data: a service it doesn't know, or bits assigned wrongly.
+ */
+export function unknownServiceBits(collection, services = getDefaultRules().services) {
+  const known = services.reduce((mask, { bit }) => mask | bit, 0);
+  const out = {};
+  for (const feature of collection.features) {
+    const code = feature.properties.services;
+    if (!Number.isInteger(code) || code <= 0) continue;
+    for (let bit = 1; bit <= code; bit *= 2) {
+      if (code & bit && !(known & bit)) out[bit] = (out[bit] || 0) + 1;
+    }
+  }
+  return out;
+}
+
+/**
+ * Parse a well-formed CSV with a header row into row objects.
+ */
+export function parseCsv(text) {
+  return parse(text, {
+    columns: true,
+    skip_empty_lines: true
+  });
+}
+
+/**
+ * Parse the FSE airports CSV leniently (the export is not always clean).
+ *
+ * Returns { header, missing, extras, expectedColumns, records } where each
+ * record is { row, line, columns }: the row object, its CSV line number and
+ * how many fields it actually had.
+ */
+export function parseFseCsv(text, { requiredColumns = REQUIRED_FSE_COLUMNS } = {}) {
+  // First pass: parse as raw rows (arrays), respecting quotes.
+  const rawRecords = parse(text, {
+    skip_empty_lines: true,
+    relax_column_count: true
+  });
+
+  if (!rawRecords.length) {
+    return {
+      header: [],
+      missing: requiredColumns.slice(),
+      extras: [],
+      expectedColumns: 0,
+      records: []
+    };
+  }
+
+  const header = rawRecords[0];
+  const headerSet = new Set(header);
+
+  // Second pass: parse into objects with column names. Any extra columns the
+  // server adds will be present on the row object but are otherwise ignored.
+  // `info` gives us the CSV line of each record.
+  const parsed = parse(text, {
+    columns: true,
+    skip_empty_lines: true,
+    relax_column_count: true,
+    info: true
+  });
+
+  // Both passes skip the same empty lines, so raw record i + 1 is parsed[i].
+  const records = parsed.map(({ record, info }, i) => ({
+    row: record,
+    line: info.lines,
+    columns: rawRecords[i + 1].length
+  }));
+
+  return {
+    header,
+    missing: requiredColumns.filter((c) => !headerSet.has(c)),
+    extras: header.filter((c) => !requiredColumns.includes(c)),
+    expectedColumns: header.length,
+    records
+  };
+}
+
+/**
+ * Build the FSE ICAO -> IRL ICAO lookup from the mapping sheet rows
+ * (columns FSE-ICAO, IRL-ICAO). Blank or "null" IRL values map to null.
+ */
+export function buildIrlMap(rows) {
+  const irlMap = new Map();
+  for (const row of rows) {
+    const key = row["FSE-ICAO"]?.trim();
+    let value = row["IRL-ICAO"]?.trim();
+
+    // Normalize: treat blank or "null" strings as missing
+    if (!value || value.toLowerCase() === "null") {
+      value = null;
+    }
+
+    if (key) irlMap.set(key, value);
+  }
+  return irlMap;
+}
+
+/**
+ * Convert one FSE row to a GeoJSON Feature.
+ *
+ * options.rules          compiled rule set from compileRules() / loadRules()
+ *                        (default getDefaultRules())
+ * options.surfaceTypes   code -> name table (default rules.surfaceTypes)
+ * options.services       services bit table (default rules.services)
+ * options.derivedFields  name -> (properties, row) => value
+ *                        (default rules.derivedFields)
+ *
+ * Returns null when the row has no usable coordinates.
+ */
+export function rowToFeature(row, irlMap = new Map(), options = {}) {
+  const {
+    rules = getDefaultRules(),
+    surfaceTypes = rules.surfaceTypes,
+    services = rules.services,
+    derivedFields = rules.derivedFields
+  } = options;
+
+  const lat = toNumber(row.lat);
+  const lon = toNumber(row.lon);
+  if (lat === null || lon === null) return null;
+
+  const fseIcao = row.icao;
+  const irlIcao = irlMap.get(fseIcao) ?? null;
+
+  // IRL mapping
+  const hasRealAirport = irlIcao !== null && irlIcao !== "";
+  const icaoCorrect = hasRealAirport && irlIcao === fseIcao;
+
+  // Surface type lookup
+  const surfaceCode = Number(row.surfaceType);
+  const surfaceType = surfaceTypes[surfaceCode] ?? `Unknown(${surfaceCode})`;
+
+  const servicesCode = toNumber(row.services);
+
+  const properties = {
+    // original fields
+    icao: row.icao,
+    name: row.name,
+    city: row.city,
+    state: row.state,
+    country: row.country,
+    ...normalizeRegion(row.country, row.state),
+    type: row.type,
+    size: toNumber(row.size),
+    elev: toNumber(row.elev),
+    longestRwy: toNumber(row.longestRwy),
+    services: servicesCode,
+
+    // replaced surface type
+    surfaceType,
+
+    // new fields
+    irlicao: irlIcao,
+    hasRealAirport,
+    icaoCorrect,
+
+    // decoded services capabilities
+    ...decodeServices(servicesCode, services)
+  };
+
+  for (const [name, derive] of Object.entries(derivedFields)) {
+    properties[name] = derive(properties, row);
+  }
+
+  return {
+    type: "Feature",
+    geometry: {
+      type: "Point",
+      coordinates: [lon, lat]
+    },
+    properties
+  };
+}
+
+/**
+ * Validate and convert FSE records into a FeatureCollection.
+ *
+ * `records` is parseFseCsv(...).records, or plain row objects.
+ * `irl` is an IRL map from buildIrlMap(), or the raw sheet rows.
+ * options: rowToFeature options, plus
+ *   validate         run validateFseRecords and drop rejected rows (default true)
+ *   expectedColumns  header width, to flag rows with a different column count
+ *
+ * The collection gets a `metadata` block with the rules version, the services
+ * capabilities (property + label, for viewers) and row counts; callers add
+ * provenance (build time, sources) to it.
+ *
+ * Returns { collection, issues, counts }.
+ */
+export function buildCollection(records, irl, options = {}) {
+  const { validate = true, expectedColumns, ...featureOptions } = options;
+  const irlMap = irl instanceof Map ? irl : buildIrlMap(irl || []);
+
+  // Accept plain rows too; number them as if they came from a CSV with header.
+  const normalized = records.map((r, i) =>
+    r && r.row ? r : { row: r, line: i + 2 }
+  );
+
+  const rules = featureOptions.rules ?? getDefaultRules();
+
+  let accepted = normalized;
+  let issues = [];
+  if (validate) {
+    ({ accepted, issues } = validateFseRecords(normalized, {
+      surfaceTypes: featureOptions.surfaceTypes ?? rules.surfaceTypes,
+      expectedColumns
+    }));
+  }
+
+  const features = [];
+  for (const { row } of accepted) {
+    const feature = rowToFeature(row, irlMap, featureOptions);
+    if (feature) features.push(feature);
+  }
+
+  const counts = countIssueRows(issues);
+
+  return {
+    collection: {
+      type: "FeatureCollection",
+      metadata: {
+        rules: { version: rules.version },
+        capabilities: (featureOptions.services ?? rules.services).map(
+          ({ property, label }) => ({ property, label })
+        ),
+        counts: {
+          rows: records.length,
+          features: features.length,
+          rejected: counts.rejected,
+          coerced: counts.coerced
+        }
+      },
+      features
+    },
+    issues,
+    counts
+  };
+}
@@ -0,0 +1,20 @@
+// ISO 3166 country / state normalization for the build.
+//
+// The tables live in docs/js/shared/regions.js, an ES module the viewer loads
+// too, so the viewer labels and filters with exactly the same codes.
+
+import { Regions } from "../../docs/js/shared/regions.js";
+
+/**
+ * { countryCode, stateCode } for FSE country / state text: an ISO 3166-1
+ * alpha-2 code and an ISO 3166-2 code ("US-AK"), each null when unknown.
+ */
+export function normalizeRegion(country, state) {
+  const countryCode = Regions.countryCode(country);
+  return {
+    countryCode,
+    stateCode: countryCode && state ? Regions.stateCode(countryCode, state) : null
+  };
+}
+
+export const { countryName, stateName } = Regions;
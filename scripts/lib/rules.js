@@ -0,0 +1,191 @@
+// Declarative rules for surface codes and derived airport properties.
+//
+// A rules file looks like:
+//
+//   {
+//     "version": "1.0.0",
+//     "surfaceTypes": { "1": "Asphalt", ... },
+//     "services": [
+//       { "bit": 1, "property": "has100ll", "label": "100LL fuel" }, ...
+//     ],
+//     "derivedFields": [
+//       {
+//         "name": "longRunway",
+//         "rules": [
+//           { "when": { "field": "longestRwy", "op": ">=", "value": 8000 },
+//             "value": true }
+//         ],
+//         "default": false
+//       }
+//     ]
+//   }
+//
+// `services` decodes the FSE services code, a bit mask: each entry becomes a
+// boolean feature property (null when the code is missing), set before any
+// derived field runs.
+// "servicesSource" records where the bit meanings come from (see the default
+// rules file). It is documentation only: compileRules ignores it.
+//
+// For each derived field the first rule whose `when` matches sets the value,
+// otherwise `default` (null if omitted). A condition is one of
+//   { "field", "op", "value" }   op: == != < <= > >= in notIn matches
+//   { "all": [conditions] }  { "any": [conditions] }  { "not": condition }
+// `field` names a feature property (numbers are already parsed); if the
+// feature has no such property the raw FSE CSV column of that name is used.
+// Derived fields are evaluated in order and can refer to earlier ones.
+
+import { readFileSync } from "fs";
+import { BuildError } from "./errors.js";
+
+export const DEFAULT_RULES_PATH = new URL("../rules/airport-rules.json", import.meta.url);
+
+const OPERATORS = {
+  "==": (a, b) => a === b,
+  "!=": (a, b) => a !== b,
+  "<": (a, b) => a !== null && a < b,
+  "<=": (a, b) => a !== null && a <= b,
+  ">": (a, b) => a !== null && a > b,
+  ">=": (a, b) => a !== null && a >= b,
+  in: (a, b) => b.includes(a),
+  notIn: (a, b) => !b.includes(a),
+  matches: (a, re) => a !== null && re.test(String(a))
+};
+
+function compileCondition(cond, where) {
+  if (!cond || typeof cond !== "object") {
+    throw new BuildError(`${where}: condition must be an object`);
+  }
+
+  if (Array.isArray(cond.all) || Array.isArray(cond.any)) {
+    const key = cond.all ? "all" : "any";
+    const parts = cond[key].map((c, i) => compileCondition(c, `${where}.${key}[${i}]`));
+    return key === "all"
+      ? (p, row) => parts.every((test) => test(p, row))
+      : (p, row) => parts.some((test) => test(p, row));
+  }
+
+  if (cond.not) {
+    const inner = compileCondition(cond.not, `${where}.not`);
+    return (p, row) => !inner(p, row);
+  }
+
+  const { field, op } = cond;
+  if (typeof field !== "string" || !field) {
+    throw new BuildError(`${where}: missing "field"`);
+  }
+  if (!(op in OPERATORS)) {
+    throw new BuildError(
+      `${where}: unknown op "${op}" (expected ${Object.keys(OPERATORS).join(" ")})`
+    );
+  }
+
+  let expected = cond.value;
+  if ((op === "in" || op === "notIn") && !Array.isArray(expected)) {
+    throw new BuildError(`${where}: "${op}" needs an array value`);
+  }
+  if (op === "matches") {
+    try {
+      expected = new RegExp(expected, "i");
+    } catch (err) {
+      throw new BuildError(`${where}: invalid regex: ${err.message}`);
+    }
+  }
+
+  const test = OPERATORS[op];
+  return (p, row) => {
+    const actual = field in p ? p[field] : row?.[field];
+    return test(actual ?? null, expected);
+  };
+}
+
+function compileServices(list, source) {
+  if (list === undefined) return [];
+  if (!Array.isArray(list)) {
+    throw new BuildError(`${source}: "services" must be an array`);
+  }
+
+  const seen = new Set();
+  return list.map((entry, i) => {
+    const where = `${source}: services[${i}]`;
+    const bit = entry?.bit;
+    if (!Number.isInteger(bit) || bit <= 0 || (bit & (bit - 1)) !== 0) {
+      throw new BuildError(`${where}: "bit" must be a power of two`);
+    }
+    if (typeof entry.property !== "string" || !entry.property) {
+      throw new BuildError(`${where}: missing "property"`);
+    }
+    if (seen.has(entry.property)) {
+      throw new BuildError(`${where}: duplicate property "${entry.property}"`);
+    }
+    seen.add(entry.property);
+    return { bit, property: entry.property, label: entry.label || entry.property };
+  });
+}
+
+/**
+ * Turn a parsed rules object into
+ * { version, surfaceTypes, services: [{ bit, property, label }],
+ *   derivedFields: { name: (properties, row) => value } },
+ * the shape rowToFeature() takes as options.
+ */
+export function compileRules(config, source = "rules") {
+  if (!config || typeof config !== "object") {
+    throw new BuildError(`${source}: rules must be a JSON object`);
+  }
+  if (!config.version) {
+    throw new BuildError(`${source}: missing "version"`);
+  }
+
+  const surfaceTypes = {};
+  for (const [code, name] of Object.entries(config.surfaceTypes || {})) {
+    surfaceTypes[Number(code)] = name;
+  }
+
+  const services = compileServices(config.services, source);
+
+  const derivedFields = {};
+  (config.derivedFields || []).forEach((field, i) => {
+    const where = `${source}: derivedFields[${i}]`;
+    if (!field || typeof field.name !== "string" || !field.name) {
+      throw new BuildError(`${where}: missing "name"`);
+    }
+    const rules = (field.rules || []).map((rule, j) => ({
+      test: compileCondition(rule.when, `${where}.rules[${j}].when`),
+      value: rule.value
+    }));
+    const fallback = field.default ?? null;
+
+    derivedFields[field.name] = (p, row) => {
+      for (const rule of rules) {
+        if (rule.test(p, row)) return rule.value;
+      }
+      return fallback;
+    };
+  });
+
+  return { version: String(config.version), surfaceTypes, services, derivedFields };
+}
+
+/**
+ * Read and compile a rules file (path or file: URL).
+ */
+export function loadRules(file = DEFAULT_RULES_PATH) {
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new BuildError(`Cannot load rules file ${file}: ${err.message}`);
+  }
+  return compileRules(config, String(file));
+}
+
+let defaultRules = null;
+
+/**
+ * The compiled default rules file (DEFAULT_RULES_PATH), read on the first
+ * call so importing the library touches no files.
+ */
+export function getDefaultRules() {
+  defaultRules ??= loadRules();
+  return defaultRules;
+}
@@ -0,0 +1,132 @@
+// Reading pipeline inputs from URLs or local files, with an optional
+// revalidating cache for URLs.
+
+import { createHash } from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import fetch from "node-fetch";
+
+export function isUrl(src) {
+  return /^https?:\/\//i.test(src);
+}
+
+export function sha256(text) {
+  return createHash("sha256").update(text).digest("hex");
+}
+
+// Cache files for a URL: <key>.body holds the last response body, <key>.json
+// its URL and validators ({ url, etag, lastModified, fetched }).
+function cachePaths(cacheDir, url) {
+  const key = sha256(url).slice(0, 16);
+  return {
+    body: path.join(cacheDir, `${key}.body`),
+    meta: path.join(cacheDir, `${key}.json`)
+  };
+}
+
+async function readCache(cacheDir, url) {
+  const paths = cachePaths(cacheDir, url);
+  try {
+    const meta = JSON.parse(await fs.readFile(paths.meta, "utf8"));
+    const text = await fs.readFile(paths.body, "utf8");
+    return { meta, text };
+  } catch {
+    return null;
+  }
+}
+
+async function writeCache(cacheDir, url, text, meta) {
+  const paths = cachePaths(cacheDir, url);
+  await fs.mkdir(cacheDir, { recursive: true });
+  await fs.writeFile(paths.body, text);
+  await fs.writeFile(paths.meta, JSON.stringify({ url, ...meta }, null, 2));
+}
+
+async function fetchUrl(src, { cacheDir, fallbackToCache }) {
+  const cached = cacheDir ? await readCache(cacheDir, src) : null;
+
+  const headers = {};
+  if (cached?.meta.etag) headers["If-None-Match"] = cached.meta.etag;
+  if (cached?.meta.lastModified) headers["If-Modified-Since"] = cached.meta.lastModified;
+
+  let res;
+  try {
+    res = await fetch(src, { headers });
+  } catch (err) {
+    if (fallbackToCache && cached) {
+      return { ...cached.meta, text: cached.text, cache: "stale", error: err.message };
+    }
+    throw new Error(`Failed to fetch ${src}: ${err.message}`);
+  }
+
+  if (res.status === 304 && cached) {
+    return { ...cached.meta, text: cached.text, cache: "not-modified" };
+  }
+
+  if (!res.ok) {
+    if (fallbackToCache && cached) {
+      return { ...cached.meta, text: cached.text, cache: "stale", error: `HTTP ${res.status}` };
+    }
+    throw new Error(`Failed to fetch ${src} (HTTP ${res.status})`);
+  }
+
+  const text = await res.text();
+  const meta = {
+    etag: res.headers.get("etag"),
+    lastModified: res.headers.get("last-modified"),
+    fetched: new Date().toISOString()
+  };
+  if (cacheDir) await writeCache(cacheDir, src, text, meta);
+  return { ...meta, text, cache: cacheDir ? "fetched" : null };
+}
+
+/**
+ * Read a source as text: http(s) URLs are fetched, anything else is a file path.
+ * Returns { text, info } where info records provenance for the build metadata:
+ * { source, sha256, bytes, lastModified, etag, cache }.
+ *
+ * options.cacheDir         keep the last copy of each URL here and revalidate
+ *                          it with If-None-Match / If-Modified-Since; a 304
+ *                          reuses the cached copy (info.cache "not-modified")
+ * options.fallbackToCache  on a network error or HTTP error, use the cached
+ *                          copy instead of failing (info.cache "stale",
+ *                          info.error says why)
+ */
+export async function loadSource(src, { cacheDir = null, fallbackToCache = false } = {}) {
+  let text;
+  let lastModified = null;
+  let etag = null;
+  let cache = null;
+  let error;
+
+  if (isUrl(src)) {
+    ({ text, lastModified, etag, cache, error } = await fetchUrl(src, {
+      cacheDir,
+      fallbackToCache
+    }));
+  } else {
+    try {
+      text = await fs.readFile(src, "utf8");
+      lastModified = (await fs.stat(src)).mtime.toUTCString();
+    } catch (err) {
+      throw new Error(`Failed to read ${src}: ${err.message}`);
+    }
+  }
+
+  const info = {
+    source: src,
+    sha256: sha256(text),
+    bytes: Buffer.byteLength(text),
+    lastModified: lastModified ?? null,
+    etag: etag ?? null
+  };
+  if (cache) info.cache = cache;
+  if (error) info.error = error;
+
+  return { text, info };
+}
+
+// Read a source as text only.
+export async function readSource(src, options) {
+  return (await loadSource(src, options)).text;
+}
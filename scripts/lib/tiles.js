@@ -0,0 +1,63 @@
+// Split the airport FeatureCollection into a regular lat/lon grid so the
+// viewer can load the current viewport first and the rest in the background.
+
+export const DEFAULT_TILE_SIZE = 10; // degrees
+
+function cellIndex(value, min, size, max) {
+  // Points exactly on the upper edge (lat 90 / lon 180) go in the last cell.
+  const cells = Math.ceil((max - min) / size);
+  return Math.min(Math.floor((value - min) / size), cells - 1);
+}
+
+/**
+ * Group features into tileSize x tileSize degree cells.
+ * Returns { manifest, tiles: [{ file, collection }] }. Manifest bounds are
+ * the cell bounds as [west, south, east, north]; the collection's metadata
+ * block is copied to the manifest.
+ */
+export function buildTiles(collection, tileSize = DEFAULT_TILE_SIZE) {
+  const cells = new Map();
+
+  for (const f of collection.features) {
+    const [lon, lat] = f.geometry.coordinates;
+    const row = cellIndex(lat, -90, tileSize, 90);
+    const col = cellIndex(lon, -180, tileSize, 180);
+    const key = `${row}_${col}`;
+    if (!cells.has(key)) cells.set(key, { row, col, features: [] });
+    cells.get(key).features.push(f);
+  }
+
+  const tiles = [];
+  const entries = [];
+  const keys = Array.from(cells.keys()).sort();
+
+  for (const key of keys) {
+    const { row, col, features } = cells.get(key);
+    const south = -90 + row * tileSize;
+    const west = -180 + col * tileSize;
+    const file = `${key}.geojson`;
+
+    tiles.push({ file, collection: { type: "FeatureCollection", features } });
+    entries.push({
+      key,
+      file,
+      bounds: [
+        west,
+        south,
+        Math.min(west + tileSize, 180),
+        Math.min(south + tileSize, 90)
+      ],
+      count: features.length
+    });
+  }
+
+  return {
+    manifest: {
+      metadata: collection.metadata ?? null,
+      tileSize,
+      count: collection.features.length,
+      tiles: entries
+    },
+    tiles
+  };
+}
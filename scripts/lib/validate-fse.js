@@ -0,0 +1,98 @@
+// Per-row validation of the FSE airports CSV.
+//
+// Each problem becomes an issue record:
+//   { line, icao, action: "rejected" | "coerced", field, value, reason }
+// "rejected" rows are dropped from the output; "coerced" rows are kept with
+// the offending value replaced (null for numbers, Unknown(n) for surfaces).
+
+// Columns that must parse as finite numbers. Non-numeric values become null.
+const NUMERIC_FIELDS = ["size", "elev", "longestRwy", "services"];
+
+function isNumeric(value) {
+  return value !== undefined &&
+    String(value).trim() !== "" &&
+    Number.isFinite(Number(value));
+}
+
+/**
+ * Validate parsed FSE records ({ row, line } pairs).
+ * Returns { accepted, issues } where accepted keeps the input shape.
+ */
+export function validateFseRecords(records, { surfaceTypes, expectedColumns } = {}) {
+  const accepted = [];
+  const issues = [];
+  const seen = new Map(); // icao -> first line
+
+  for (const { row, line, columns } of records) {
+    const icao = (row.icao ?? "").trim();
+    const rowIssues = [];
+
+    const reject = (field, value, reason) =>
+      rowIssues.push({ line, icao, action: "rejected", field, value, reason });
+    const coerce = (field, value, reason) =>
+      rowIssues.push({ line, icao, action: "coerced", field, value, reason });
+
+    if (!icao) {
+      reject("icao", row.icao ?? null, "empty ICAO");
+    } else if (seen.has(icao)) {
+      reject("icao", icao, `duplicate ICAO (first seen on line ${seen.get(icao)})`);
+    }
+
+    const lat = Number(row.lat);
+    const lon = Number(row.lon);
+    if (!isNumeric(row.lat)) {
+      reject("lat", row.lat ?? null, "latitude is not a number");
+    } else if (lat < -90 || lat > 90) {
+      reject("lat", row.lat, "latitude out of range [-90, 90]");
+    }
+    if (!isNumeric(row.lon)) {
+      reject("lon", row.lon ?? null, "longitude is not a number");
+    } else if (lon < -180 || lon > 180) {
+      reject("lon", row.lon, "longitude out of range [-180, 180]");
+    }
+
+    if (expectedColumns && columns !== undefined && columns !== expectedColumns) {
+      coerce(null, columns, `has ${columns} columns, expected ${expectedColumns}`);
+    }
+
+    for (const field of NUMERIC_FIELDS) {
+      if (!isNumeric(row[field])) {
+        coerce(field, row[field] ?? null, `${field} is not a number; set to null`);
+      }
+    }
+
+    if (surfaceTypes) {
+      const code = Number(row.surfaceType);
+      if (!(code in surfaceTypes)) {
+        coerce(
+          "surfaceType",
+          row.surfaceType ?? null,
+          `unknown surface code; set to Unknown(${code})`
+        );
+      }
+    }
+
+    const rejected = rowIssues.some((i) => i.action === "rejected");
+    if (!rejected) {
+      accepted.push({ row, line, columns });
+      if (icao) seen.set(icao, line);
+    }
+    issues.push(...rowIssues);
+  }
+
+  return { accepted, issues };
+}
+
+/**
+ * Count issues by row: a row with several coercions counts once.
+ */
+export function countIssueRows(issues) {
+  const rejected = new Set();
+  const coerced = new Set();
+  for (const i of issues) {
+    (i.action === "rejected" ? rejected : coerced).add(i.line);
+  }
+  // A rejected row is not also counted as coerced.
+  for (const line of rejected) coerced.delete(line);
+  return { rejected: rejected.size, coerced: coerced.size };
+}
@@ -1,6 +1,101 @@
 import fs from "fs/promises";
-import fetch from "node-fetch";
-import { parse } from "csv-parse/sync";
+import path from "path";
+import { parseArgs } from "util";
+import { diffCollections, renderChangelog } from "./lib/dataset-diff.js";
+import { DEFAULT_DUPLICATE_DISTANCE_NM, findDuplicates } from "./lib/duplicates.js";
+import { BuildError, EXIT } from "./lib/errors.js";
+import { EXPORT_FORMATS } from "./lib/exporters.js";
+import { checkIrlIntegrity, IRL_CHECKS } from "./lib/irl-integrity.js";
+import {
+  attachIrlCandidates,
+  findIrlCandidates,
+  indexReferenceAirports
+} from "./lib/irl-match.js";
+import {
+  attachRunways,
+  enrichCollection,
+  indexOurAirports,
+  indexRunways
+} from "./lib/ourairports.js";
+import {
+  buildCollection,
+  buildIrlMap,
+  parseCsv,
+  parseFseCsv,
+  unknownServiceBits
+} from "./lib/pipeline.js";
+import { DEFAULT_RULES_PATH, loadRules } from "./lib/rules.js";
+import { isUrl, loadSource, sha256 } from "./lib/sources.js";
+import { buildTiles, DEFAULT_TILE_SIZE } from "./lib/tiles.js";
+
+// Command-line wrapper around the build pipeline in lib/ (see lib/index.js
+// for the programmatic API).
+//
+// Usage:
+//   node scripts/update-airports.js [--config build.json]
+//                                   [--fse <url|path>] [--irl <url|path>]
+//                                   [--out <path>] [--report-dir <dir>]
+//                                   [--strict [--max-rejects <n>]
+//                                              [--max-coerced <n>]
+//                                              [--fail-on-irl <checks>]]
+//                                   [--formats kml,gpx,csv,json|all]
+//                                   [--tiles [--tile-size <deg>]]
+//                                   [--rules <file>]
+//                                   [--ourairports <path>] [--runways <path>]
+//                                   [--irl-reference <path>]
+//                                   [--cache-dir <dir>] [--offline-fallback]
+//                                   [--force] [--duplicate-distance <nm>]
+//
+// Every source accepts either an http(s) URL or a local file path, so a
+// build can be reproduced from archived CSV snapshots without network access.
+// Command-line flags override values from the config file, which in turn
+// override the defaults below.
+//
+// Every rejected or coerced FSE row is listed in <report-dir>/fse-rejects.json.
+// With --strict the build fails instead of writing output when the source is
+// missing required columns (exit 2), or when more rows than allowed were
+// rejected (exit 3) or coerced (exit 4). Thresholds default to 0 in strict mode.
+//
+// The IRL mapping sheet is checked for duplicate and unknown FSE ICAOs, IRL
+// codes shared by several airports, malformed IRL codes and FSE airports
+// missing from the sheet; see <report-dir>/irl-integrity.json. In strict mode
+// the checks named by --fail-on-irl fail the build (exit 5).
+//
+// --formats writes extra files next to the GeoJSON (airports.kml, .gpx, .csv,
+// .compact.json) plus airports.manifest.json listing everything generated.
+//
+// --tiles also writes the dataset as a lat/lon grid under tiles/ next to the
+// GeoJSON, with tiles/manifest.json giving each tile's bounds and count. The
+// viewer prefers the tiles when present and falls back to the single file,
+// so a build without --tiles removes any tiles/ left by an earlier build.
+//
+// Surface names and derived properties (localfuel, localmx, ...) come from a
+// rules file, scripts/rules/airport-rules.json unless --rules names another.
+//
+// --ourairports joins a local OurAirports airports.csv on each airport's IRL
+// ICAO and adds IATA, GPS/local codes, alternate names, the scheduled-service
+// flag and home link (see lib/ourairports.js). --runways attaches the runways
+// from an OurAirports runways.csv as a `runways` array on each airport.
+//
+// --irl-reference (default: the --ourairports file) proposes IRL ICAOs for
+// unmapped and mismatched airports, scored on distance, name and elevation,
+// in <report-dir>/irl-candidates.json; unmapped airports also get their top
+// candidates as `irlCandidates` for the viewer popup.
+//
+// Suspect pairs (airports closer than --duplicate-distance, identical names
+// in one country, several airports on one IRL ICAO) are listed in
+// <report-dir>/duplicates.json. The viewer runs the same check for its overlay.
+//
+// URL sources are cached in --cache-dir (default .cache/sources) with their
+// ETag / Last-Modified and re-requested conditionally; a 304 reuses the cached
+// copy. With --offline-fallback a failed download also falls back to the
+// cached copy. When every input (sources, rules file and output options)
+// hashes the same as the previous build, nothing is written and the script
+// exits with 6 so scheduled jobs can skip committing; --force rebuilds anyway.
+//
+// The output carries a top-level `metadata` block (build time, source hashes
+// and HTTP validators, row counts, rules version) which the viewer shows as
+// its "data as of" indicator.
 
 // --------------------------
 // CONFIG
@@ -9,237 +104,701 @@ const FSE_CSV_URL = "https://server.fseconomy.net/static/airports.csv";
 const IRL_CSV_URL =
   "https://docs.google.com/spreadsheets/d/e/2PACX-1vRDWuT9zq4W26nq7oO1g0_CPv3wejxh3JPzbrtBF529Zb3U4qcuOuhcXeOVgyNZ-jcWMEvJSiQKM4FX/pub?gid=888849407&single=true&output=csv";
 const OUTPUT_PATH = "docs/data/airports.geojson";
+const REPORT_DIR = "reports";
+const CACHE_DIR = ".cache/sources";
+
+const USAGE = `Usage: node scripts/update-airports.js [options]
+
+Options:
+  --config <file>      JSON config file with "fse", "irl", "output",
+                       "reportDir", "strict", "maxRejects", "maxCoerced",
+                       "failOnIrl", "formats", "tiles", "tileSize",
+                       "rules", "ourairports", "runways", "irlReference",
+                       "cacheDir", "offlineFallback", "force" and
+                       "duplicateDistance" keys
+  --fse <src>          FSE airports CSV (URL or local path)
+  --irl <src>          IRL mapping CSV (URL or local path)
+  --out <path>         Where to write the GeoJSON
+  --report-dir <dir>   Where to write build reports (diff, changelog, rejects)
+  --strict             Fail the build on schema problems or bad rows
+  --max-rejects <n>    Strict: rejected rows allowed before failing (default 0)
+  --max-coerced <n>    Strict: coerced rows allowed before failing (default 0)
+  --fail-on-irl <list> Strict: IRL sheet checks that fail the build, any of
+                       ${IRL_CHECKS.join(", ")}, "all" or "none"
+                       (default duplicates,malformed)
+  --formats <list>     Extra outputs next to the GeoJSON: any of
+                       kml, gpx, csv, json (compact columnar), or "all"
+  --tiles              Also write the dataset split into grid tiles
+  --tile-size <deg>    Tile edge in degrees (default ${DEFAULT_TILE_SIZE})
+  --rules <file>       Surface / derived-field rules (default
+                       scripts/rules/airport-rules.json)
+  --ourairports <src>  OurAirports airports.csv to enrich airports from
+  --runways <src>      OurAirports runways.csv to attach runways from
+  --irl-reference <src>
+                       Real-airport reference (OurAirports airports.csv
+                       layout) for IRL match candidates (default: the
+                       --ourairports file)
+  --cache-dir <dir>    Cache for downloaded sources (default ${CACHE_DIR})
+  --offline-fallback   Use the cached copy when a download fails
+  --force              Rebuild even if no input changed since the last build
+                       (otherwise exits with ${EXIT.NO_CHANGES} without writing)
+  --duplicate-distance <nm>
+                       Report airports closer than this as suspects
+                       (default ${DEFAULT_DUPLICATE_DISTANCE_NM})
+  -h, --help           Show this help`;
 
-// Surface type mapping
-const SURFACE_TYPES = {
-  1: "Asphalt",
-  2: "Concrete",
-  3: "Coral",
-  4: "Dirt",
-  5: "Grass",
-  6: "Gravel",
-  7: "Helipad",
-  8: "Oil Treated",
-  9: "Snow",
-  10: "Steel Mats",
-  11: "Water"
-};
-
-// Columns we expect from the FSE CSV.
-// If any of these disappear or get renamed, we want to know.
-const REQUIRED_FSE_COLUMNS = [
-  "icao",
-  "lat",
-  "lon",
-  "type",
-  "size",
-  "name",
-  "city",
-  "state",
-  "country",
-  "elev",
-  "surfaceType",
-  "longestRwy",
-  "services"
-];
+// --------------------------
+// OPTIONS
+// --------------------------
+
+// Resolve a config-file path relative to the config file itself, so a config
+// checked in next to its snapshots works from any working directory.
+function resolveFromConfig(value, configDir) {
+  if (!value || isUrl(value) || path.isAbsolute(value)) return value;
+  return path.resolve(configDir, value);
+}
+
+async function loadConfigFile(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch (err) {
+    throw new Error(`Cannot read config file ${file}: ${err.message}`);
+  }
+
+  let config;
+  try {
+    config = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`Config file ${file} is not valid JSON: ${err.message}`);
+  }
+
+  const dir = path.dirname(path.resolve(file));
+  return {
+    fse: resolveFromConfig(config.fse, dir),
+    irl: resolveFromConfig(config.irl, dir),
+    output: resolveFromConfig(config.output, dir),
+    reportDir: resolveFromConfig(config.reportDir, dir),
+    strict: config.strict,
+    maxRejects: config.maxRejects,
+    maxCoerced: config.maxCoerced,
+    failOnIrl: config.failOnIrl,
+    formats: config.formats,
+    tiles: config.tiles,
+    tileSize: config.tileSize,
+    rules: resolveFromConfig(config.rules, dir),
+    ourairports: resolveFromConfig(config.ourairports, dir),
+    runways: resolveFromConfig(config.runways, dir),
+    irlReference: resolveFromConfig(config.irlReference, dir),
+    cacheDir: resolveFromConfig(config.cacheDir, dir),
+    offlineFallback: config.offlineFallback,
+    force: config.force,
+    duplicateDistance: config.duplicateDistance
+  };
+}
+
+async function resolveOptions(argv) {
+  const { values } = parseArgs({
+    args: argv,
+    options: {
+      config: { type: "string" },
+      fse: { type: "string" },
+      irl: { type: "string" },
+      out: { type: "string" },
+      "report-dir": { type: "string" },
+      strict: { type: "boolean" },
+      "max-rejects": { type: "string" },
+      "max-coerced": { type: "string" },
+      "fail-on-irl": { type: "string" },
+      formats: { type: "string" },
+      tiles: { type: "boolean" },
+      "tile-size": { type: "string" },
+      rules: { type: "string" },
+      ourairports: { type: "string" },
+      runways: { type: "string" },
+      "irl-reference": { type: "string" },
+      "cache-dir": { type: "string" },
+      "offline-fallback": { type: "boolean" },
+      force: { type: "boolean" },
+      "duplicate-distance": { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  const fromConfig = values.config ? await loadConfigFile(values.config) : {};
+
+  return {
+    fse: values.fse ?? fromConfig.fse ?? FSE_CSV_URL,
+    irl: values.irl ?? fromConfig.irl ?? IRL_CSV_URL,
+    output: values.out ?? fromConfig.output ?? OUTPUT_PATH,
+    reportDir: values["report-dir"] ?? fromConfig.reportDir ?? REPORT_DIR,
+    strict: values.strict ?? fromConfig.strict ?? false,
+    maxRejects: parseThreshold(
+      "--max-rejects",
+      values["max-rejects"] ?? fromConfig.maxRejects
+    ),
+    maxCoerced: parseThreshold(
+      "--max-coerced",
+      values["max-coerced"] ?? fromConfig.maxCoerced
+    ),
+    failOnIrl: parseIrlChecks(values["fail-on-irl"] ?? fromConfig.failOnIrl),
+    formats: parseFormats(values.formats ?? fromConfig.formats),
+    tiles: values.tiles ?? fromConfig.tiles ?? false,
+    tileSize: parseTileSize(values["tile-size"] ?? fromConfig.tileSize),
+    rules: values.rules ?? fromConfig.rules ?? DEFAULT_RULES_PATH,
+    ourairports: values.ourairports ?? fromConfig.ourairports ?? null,
+    runways: values.runways ?? fromConfig.runways ?? null,
+    irlReference: values["irl-reference"] ?? fromConfig.irlReference ?? null,
+    cacheDir: values["cache-dir"] ?? fromConfig.cacheDir ?? CACHE_DIR,
+    offlineFallback: values["offline-fallback"] ?? fromConfig.offlineFallback ?? false,
+    force: values.force ?? fromConfig.force ?? false,
+    duplicateDistance: parseDuplicateDistance(
+      values["duplicate-distance"] ?? fromConfig.duplicateDistance
+    )
+  };
+}
+
+function parseDuplicateDistance(value) {
+  if (value === undefined || value === null) return DEFAULT_DUPLICATE_DISTANCE_NM;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0) {
+    throw new BuildError(`--duplicate-distance must be a positive number, got "${value}"`);
+  }
+  return n;
+}
+
+function parseTileSize(value) {
+  if (value === undefined || value === null) return DEFAULT_TILE_SIZE;
+  const n = Number(value);
+  if (!Number.isFinite(n) || n <= 0 || n > 180) {
+    throw new BuildError(`--tile-size must be a number in (0, 180], got "${value}"`);
+  }
+  return n;
+}
+
+// Accepts "duplicates,shared", an array, "all" or "none".
+function parseIrlChecks(value) {
+  if (value === undefined || value === null) return ["duplicates", "malformed"];
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((c) => String(c).trim().toLowerCase())
+    .filter(Boolean);
+  if (list.includes("none")) return [];
+  if (list.includes("all")) return IRL_CHECKS.slice();
+
+  const unknown = list.filter((c) => !IRL_CHECKS.includes(c));
+  if (unknown.length) {
+    throw new BuildError(
+      `Unknown IRL check(s): ${unknown.join(", ")} ` +
+        `(expected ${IRL_CHECKS.join(", ")}, all or none)`
+    );
+  }
+  return Array.from(new Set(list));
+}
+
+// Accepts "kml,gpx", ["kml", "gpx"] or "all".
+function parseFormats(value) {
+  if (!value) return [];
+  const list = (Array.isArray(value) ? value : String(value).split(","))
+    .map((f) => String(f).trim().toLowerCase())
+    .filter(Boolean);
+  if (list.includes("all")) return Object.keys(EXPORT_FORMATS);
+
+  const unknown = list.filter((f) => !(f in EXPORT_FORMATS));
+  if (unknown.length) {
+    throw new BuildError(
+      `Unknown export format(s): ${unknown.join(", ")} ` +
+        `(expected ${Object.keys(EXPORT_FORMATS).join(", ")} or all)`
+    );
+  }
+  return Array.from(new Set(list));
+}
+
+function parseThreshold(name, value) {
+  if (value === undefined || value === null) return 0;
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new BuildError(`${name} must be a non-negative integer, got "${value}"`);
+  }
+  return n;
+}
 
 // --------------------------
 // HELPERS
 // --------------------------
 
-// Generic CSV fetch (used for the IRL Google Sheet, which is well-formed)
-async function fetchCsv(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch ${url}`);
-  const text = await res.text();
-  return parse(text, {
-    columns: true,
-    skip_empty_lines: true
+// Load one source through the cache and say where it came from.
+async function loadCachedSource(src, options) {
+  const loaded = await loadSource(src, {
+    cacheDir: options.cacheDir,
+    fallbackToCache: options.offlineFallback
   });
+  const { cache, error } = loaded.info;
+  if (cache === "not-modified") {
+    console.log(`  ${src}: not modified, using cached copy.`);
+  } else if (cache === "stale") {
+    console.warn(`  ${src}: download failed (${error}); using cached copy.`);
+  }
+  return loaded;
 }
 
-// FSE CSV fetch with header validation + column-count report, then relaxed parsing
-async function fetchFseCsv(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to fetch ${url}`);
-  const text = await res.text();
+// Optional sources resolve to null when not configured.
+function loadOptionalSource(src, options) {
+  return src ? loadCachedSource(src, options) : null;
+}
 
-  // First pass: parse as raw rows (arrays), respecting quotes.
-  const rawRecords = parse(text, {
-    skip_empty_lines: true,
-    relax_column_count: true
-  });
+// Load the FSE CSV and log header / column-count diagnostics.
+async function loadFseCsv(src, options) {
+  const { text, info } = await loadCachedSource(src, options);
+  const fse = parseFseCsv(text);
+  fse.info = info;
 
-  if (!rawRecords.length) {
+  if (!fse.records.length) {
     console.warn("FSE CSV: file appears to be empty.");
-    return [];
+    return fse;
   }
 
-  const headerRow = rawRecords[0];
-  const expectedColumns = headerRow.length;
-
-  // --- Header validation ---
-  const headerSet = new Set(headerRow);
-  const missing = REQUIRED_FSE_COLUMNS.filter((c) => !headerSet.has(c));
-  const extras = headerRow.filter((c) => !REQUIRED_FSE_COLUMNS.includes(c));
-
-  if (missing.length) {
-    console.warn("FSE CSV: missing required columns:", missing);
-    // If you ever want this to be fatal, uncomment:
-    // throw new Error("FSE CSV schema changed: missing required columns.");
+  if (fse.missing.length) {
+    console.warn("FSE CSV: missing required columns:", fse.missing);
   } else {
     console.log("FSE CSV: all required columns are present.");
   }
 
-  if (extras.length) {
+  if (fse.extras.length) {
     console.log(
       "FSE CSV: additional columns present (ignored by script):",
-      extras
+      fse.extras
     );
   }
 
   // --- Per-record column-count check (sanity check) ---
-  let badCount = 0;
-  const examples = [];
-
-  for (let i = 1; i < rawRecords.length; i++) {
-    const row = rawRecords[i];
-    const cols = row.length;
-    if (cols !== expectedColumns) {
-      badCount++;
-      if (examples.length < 5) {
-        examples.push({
-          lineNumber: i + 1, // 1-based line number in CSV
-          cols,
-          row
-        });
-      }
-    }
-  }
+  const badColumns = fse.records.filter((r) => r.columns !== fse.expectedColumns);
 
-  if (badCount > 0) {
+  if (badColumns.length > 0) {
     console.warn(
-      `FSE CSV: found ${badCount} non-empty records with unexpected column count (expected ${expectedColumns}).`
+      `FSE CSV: found ${badColumns.length} non-empty records with unexpected column count (expected ${fse.expectedColumns}).`
     );
     console.warn("Here are up to 5 examples (parsed fields):");
-    for (const ex of examples) {
+    for (const ex of badColumns.slice(0, 5)) {
       console.warn(
-        `  Record at CSV line ${ex.lineNumber}: has ${ex.cols} columns.`,
+        `  Record at CSV line ${ex.line}: has ${ex.columns} columns.`,
         ex.row
       );
     }
   } else {
     console.log(
-      `FSE CSV: all non-empty records have ${expectedColumns} columns.`
+      `FSE CSV: all non-empty records have ${fse.expectedColumns} columns.`
     );
   }
 
-  // Second pass: parse into objects with column names, like your original script.
-  // Any extra columns the server adds will be present on the row object, but
-  // your code just ignores them.
-  return parse(text, {
-    columns: true,
-    skip_empty_lines: true,
-    relax_column_count: true
-  });
+  return fse;
+}
+
+// Previous build output, or null on the first run / unreadable file.
+async function loadPreviousCollection(file) {
+  let raw;
+  try {
+    raw = await fs.readFile(file, "utf8");
+  } catch {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch (err) {
+    console.warn(`Previous output ${file} is not valid JSON; skipping diff.`);
+    return null;
+  }
+}
+
+// The build code itself: this script, lib/, docs/js/shared/ and the package
+// version, so a pipeline change rebuilds even when the sources are unchanged.
+async function hashCode() {
+  // scripts/lib plus the modules it shares with the viewer
+  const dirs = [new URL("./lib/", import.meta.url), new URL("../docs/js/shared/", import.meta.url)];
+  const files = [new URL(import.meta.url)];
+  for (const dir of dirs) {
+    const names = (await fs.readdir(dir)).filter((f) => f.endsWith(".js")).sort();
+    files.push(...names.map((f) => new URL(f, dir)));
+  }
+  const texts = await Promise.all(files.map((f) => fs.readFile(f, "utf8")));
+  const pkg = JSON.parse(await fs.readFile(new URL("../package.json", import.meta.url), "utf8"));
+  return sha256(JSON.stringify({ version: pkg.version, code: texts.map(sha256) }));
+}
+
+// One hash over everything that determines the output: source contents, the
+// rules file, the build code and the options that change what gets written
+// or whether the build passes.
+async function hashInputs(loaded, options) {
+  const rulesText = await fs.readFile(options.rules, "utf8");
+  const sourceHashes = Object.fromEntries(
+    Object.entries(loaded).map(([name, src]) => [name, src ? src.info.sha256 : null])
+  );
+  return sha256(
+    JSON.stringify({
+      sources: sourceHashes,
+      rules: sha256(rulesText),
+      code: await hashCode(),
+      formats: options.formats,
+      duplicateDistance: options.duplicateDistance,
+      tiles: options.tiles && options.tileSize,
+      strict: options.strict,
+      maxRejects: options.maxRejects,
+      maxCoerced: options.maxCoerced,
+      failOnIrl: options.failOnIrl
+    })
+  );
+}
+
+async function writeDiffReport(prev, next, reportDir) {
+  const diff = diffCollections(prev, next);
+  const date = new Date().toISOString();
+  const jsonPath = path.join(reportDir, "airports-diff.json");
+  const mdPath = path.join(reportDir, "airports-diff.md");
+
+  await fs.mkdir(reportDir, { recursive: true });
+  await fs.writeFile(jsonPath, JSON.stringify({ generated: date, ...diff }, null, 2));
+  await fs.writeFile(mdPath, renderChangelog(diff, { date }));
+
+  const s = diff.summary;
+  console.log(
+    `Diff vs previous build: ${s.added} added, ${s.removed} removed, ` +
+      `${s.moved} moved, ${s.renamed} renamed, ${s.changed} changed.`
+  );
+  console.log(`  Reports: ${jsonPath}, ${mdPath}`);
+}
+
+async function writeRejectsReport(issues, counts, options) {
+  const file = path.join(options.reportDir, "fse-rejects.json");
+  const report = {
+    generated: new Date().toISOString(),
+    source: options.fse,
+    strict: options.strict,
+    thresholds: options.strict
+      ? { maxRejects: options.maxRejects, maxCoerced: options.maxCoerced }
+      : null,
+    counts,
+    issues
+  };
+  await fs.mkdir(options.reportDir, { recursive: true });
+  await fs.writeFile(file, JSON.stringify(report, null, 2));
+  return file;
+}
+
+async function writeFileEntry(file, format, contents) {
+  await fs.writeFile(file, contents);
+  return {
+    format,
+    file: path.basename(file),
+    bytes: Buffer.byteLength(contents),
+    sha256: sha256(contents)
+  };
+}
+
+// Write the requested extra formats next to the GeoJSON plus a manifest.
+async function writeExports(geojson, geojsonText, options) {
+  const dir = path.dirname(options.output);
+  const base = path.basename(options.output).replace(/\.geojson$/i, "");
+
+  const files = [
+    {
+      format: "geojson",
+      file: path.basename(options.output),
+      bytes: Buffer.byteLength(geojsonText),
+      sha256: sha256(geojsonText)
+    }
+  ];
+
+  for (const format of options.formats) {
+    const { extension, render } = EXPORT_FORMATS[format];
+    const file = path.join(dir, base + extension);
+    files.push(await writeFileEntry(file, format, render(geojson)));
+    console.log(`  Wrote ${format.toUpperCase()} to ${file}`);
+  }
+
+  const manifestPath = path.join(dir, `${base}.manifest.json`);
+  const manifest = {
+    generated: new Date().toISOString(),
+    features: geojson.features.length,
+    files
+  };
+  await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+  console.log(`  Manifest: ${manifestPath}`);
+}
+
+async function writeIrlCandidatesReport(result, source, options) {
+  const file = path.join(options.reportDir, "irl-candidates.json");
+  await fs.mkdir(options.reportDir, { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify({ generated: new Date().toISOString(), reference: source, ...result }, null, 2)
+  );
+  return file;
+}
+
+async function writeDuplicatesReport(result, options) {
+  const file = path.join(options.reportDir, "duplicates.json");
+  await fs.mkdir(options.reportDir, { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify(
+      {
+        generated: new Date().toISOString(),
+        maxDistanceNm: options.duplicateDistance,
+        ...result
+      },
+      null,
+      2
+    )
+  );
+  return file;
+}
+
+async function writeIrlIntegrityReport(report, options) {
+  const file = path.join(options.reportDir, "irl-integrity.json");
+  await fs.mkdir(options.reportDir, { recursive: true });
+  await fs.writeFile(
+    file,
+    JSON.stringify({ generated: new Date().toISOString(), source: options.irl, ...report }, null, 2)
+  );
+  return file;
+}
+
+// Replace tiles/ next to the GeoJSON. Old tiles are removed first so cells
+// that no longer contain airports don't linger.
+function tilesDir(options) {
+  return path.join(path.dirname(options.output), "tiles");
+}
+
+async function writeTiles(geojson, options) {
+  const dir = tilesDir(options);
+  const { manifest, tiles } = buildTiles(geojson, options.tileSize);
+
+  await fs.rm(dir, { recursive: true, force: true });
+  await fs.mkdir(dir, { recursive: true });
+  for (const tile of tiles) {
+    await fs.writeFile(path.join(dir, tile.file), JSON.stringify(tile.collection));
+  }
+  await fs.writeFile(path.join(dir, "manifest.json"), JSON.stringify(manifest, null, 2));
+  console.log(
+    `  Wrote ${tiles.length} tiles (${options.tileSize}° grid) to ${dir}`
+  );
 }
 
 // --------------------------
 // MAIN
 // --------------------------
 async function main() {
-  console.log("Fetching source CSV data...");
-
-  const [fseRows, irlRows] = await Promise.all([
-    fetchFseCsv(FSE_CSV_URL),
-    fetchCsv(IRL_CSV_URL)
+  const options = await resolveOptions(process.argv.slice(2));
+
+  console.log("Loading source CSV data...");
+  console.log(`  FSE: ${options.fse}`);
+  console.log(`  IRL: ${options.irl}`);
+
+  const [fse, irl, ourairports, runways, reference] = await Promise.all([
+    loadFseCsv(options.fse, options),
+    loadCachedSource(options.irl, options),
+    loadOptionalSource(options.ourairports, options),
+    loadOptionalSource(options.runways, options),
+    loadOptionalSource(options.irlReference, options)
   ]);
 
+  const inputsHash = await hashInputs(
+    { fse, irl, ourairports, runways, reference },
+    options
+  );
+  const previous = await loadPreviousCollection(options.output);
+  if (!options.force && previous?.metadata?.inputsHash === inputsHash) {
+    console.log(
+      "No changes: inputs are identical to the last build; output left as is."
+    );
+    process.exitCode = EXIT.NO_CHANGES;
+    return;
+  }
+
+  if (options.strict && fse.missing.length) {
+    throw new BuildError(
+      `FSE CSV schema changed: missing required columns ${fse.missing.join(", ")}`,
+      EXIT.SCHEMA
+    );
+  }
+
   console.log("Building IRL ICAO lookup map...");
-  // Expect columns: FSE-ICAO, IRL-ICAO
-  const irlMap = new Map();
-  for (const row of irlRows) {
-    const key = row["FSE-ICAO"]?.trim();
-    let value = row["IRL-ICAO"]?.trim();
-
-    // Normalize: treat blank or "null" strings as missing
-    if (!value || value.toLowerCase() === "null") {
-      value = null;
+  const irlRows = parseCsv(irl.text);
+  const irlMap = buildIrlMap(irlRows);
+
+  const rules = loadRules(options.rules);
+  console.log(`Using rules version ${rules.version}.`);
+
+  console.log("Validating and converting rows to GeoJSON features...");
+  const { collection: geojson, issues, counts } = buildCollection(
+    fse.records,
+    irlMap,
+    { expectedColumns: fse.expectedColumns, rules }
+  );
+  const rejectsFile = await writeRejectsReport(issues, counts, options);
+  console.log(
+    `  ${geojson.features.length} features, ${counts.rejected} rows rejected, ` +
+      `${counts.coerced} coerced (details: ${rejectsFile}).`
+  );
+
+  const unknownBits = Object.entries(unknownServiceBits(geojson, rules.services));
+  if (unknownBits.length) {
+    console.warn(
+      "  Services bits missing from the rules file: " +
+        unknownBits.map(([bit, n]) => `${bit} (${n} airports)`).join(", ")
+    );
+  }
+
+  const unmappedCountries = new Set(
+    geojson.features
+      .filter((f) => f.properties.country && !f.properties.countryCode)
+      .map((f) => f.properties.country)
+  );
+  if (unmappedCountries.size) {
+    console.warn(
+      `  No ISO 3166 code for ${unmappedCountries.size} country name(s): ` +
+        Array.from(unmappedCountries).slice(0, 10).join(", ") +
+        (unmappedCountries.size > 10 ? ", ..." : "")
+    );
+  }
+
+  if (options.strict) {
+    if (counts.rejected > options.maxRejects) {
+      throw new BuildError(
+        `${counts.rejected} rows rejected (allowed: ${options.maxRejects})`,
+        EXIT.REJECTS
+      );
     }
+    if (counts.coerced > options.maxCoerced) {
+      throw new BuildError(
+        `${counts.coerced} rows coerced (allowed: ${options.maxCoerced})`,
+        EXIT.COERCIONS
+      );
+    }
+  }
 
-    if (key) irlMap.set(key, value);
+  console.log("Checking IRL mapping sheet integrity...");
+  const integrity = checkIrlIntegrity(
+    irlRows,
+    geojson.features.map((f) => f.properties.icao)
+  );
+  const integrityFile = await writeIrlIntegrityReport(integrity, options);
+  const is = integrity.summary;
+  console.log(
+    `  ${is.duplicates} duplicate keys, ${is.shared} shared IRL codes, ` +
+      `${is.unknown} unknown FSE ICAOs, ${is.malformed} malformed IRL codes, ` +
+      `${is.missing} FSE airports not in sheet (details: ${integrityFile}).`
+  );
+
+  if (options.strict) {
+    const failed = options.failOnIrl.filter((check) => is[check] > 0);
+    if (failed.length) {
+      throw new BuildError(
+        `IRL mapping sheet failed checks: ` +
+          failed.map((check) => `${check} (${is[check]})`).join(", "),
+        EXIT.IRL_INTEGRITY
+      );
+    }
   }
 
-  console.log("Converting rows to GeoJSON features...");
-  const features = [];
+  console.log("Looking for duplicate and co-located airports...");
+  const duplicates = findDuplicates(geojson, { maxDistanceNm: options.duplicateDistance });
+  const duplicatesFile = await writeDuplicatesReport(duplicates, options);
+  const ds = duplicates.summary;
+  console.log(
+    `  ${ds.close} pairs within ${options.duplicateDistance} nm, ` +
+      `${ds.sameName} same-name links, ${ds.sameIrl} same-IRL links ` +
+      `(details: ${duplicatesFile}).`
+  );
+
+  const sources = {
+    fse: { ...fse.info, rows: fse.records.length },
+    irl: { ...irl.info, rows: irlRows.length }
+  };
 
-  for (const row of fseRows) {
-    const lat = parseFloat(row.lat);
-    const lon = parseFloat(row.lon);
-    if (Number.isNaN(lat) || Number.isNaN(lon)) continue;
+  let airportIndex = null;
+  let ourAirportsRows = null;
+  if (options.ourairports) {
+    console.log(`Enriching from OurAirports: ${options.ourairports}`);
+    const rows = parseCsv(ourairports.text);
+    ourAirportsRows = rows;
+    airportIndex = indexOurAirports(rows);
+    const { matched, unmatched } = enrichCollection(geojson, airportIndex);
+    console.log(
+      `  ${matched} airports enriched, ${unmatched} IRL ICAOs not found in OurAirports.`
+    );
+    sources.ourairports = { ...ourairports.info, rows: rows.length, matched };
+  }
 
-    const fseIcao = row.icao;
-    const irlIcao = irlMap.get(fseIcao) ?? null;
+  if (options.runways) {
+    console.log(`Attaching runways: ${options.runways}`);
+    const rows = parseCsv(runways.text);
+    const { matched } = attachRunways(geojson, indexRunways(rows), airportIndex);
+    console.log(`  ${matched} airports given runway data.`);
+    sources.runways = { ...runways.info, rows: rows.length, matched };
+  }
 
-    // Derived fields
-    const hasRealAirport = irlIcao !== null && irlIcao !== "";
-    const icaoCorrect = hasRealAirport && irlIcao === fseIcao;
+  const referenceSrc = options.irlReference ?? options.ourairports;
+  if (referenceSrc) {
+    console.log(`Looking for IRL match candidates in ${referenceSrc}...`);
+    let rows = ourAirportsRows;
+    if (reference) {
+      rows = parseCsv(reference.text);
+      sources.irlReference = { ...reference.info, rows: rows.length };
+    }
+    const result = findIrlCandidates(geojson, indexReferenceAirports(rows));
+    attachIrlCandidates(geojson, result);
+    const candidatesFile = await writeIrlCandidatesReport(result, referenceSrc, options);
+    const cs = result.summary;
+    console.log(
+      `  ${cs.withCandidates} of ${cs.checked} unmapped/mismatched airports have ` +
+        `candidates (${cs.none} unmapped, ${cs.incorrect} mismatched; ` +
+        `details: ${candidatesFile}).`
+    );
+  }
 
-    const size = Number(row.size);
-    const services = Number(row.services);
+  geojson.metadata = {
+    generated: new Date().toISOString(),
+    ...geojson.metadata,
+    inputsHash,
+    sources
+  };
 
-    const localfuel = size >= 2500 || services >= 3 ? "yes" : "no";
-    const localmx = size >= 2000 || services === 7 ? "yes" : "no";
+  console.log(`Writing ${geojson.features.length} features to ${options.output}...`);
+  if (previous) {
+    await writeDiffReport(previous, geojson, options.reportDir);
+  } else {
+    console.log("No previous output found; skipping diff report.");
+  }
 
-    // Surface type lookup
-    const surfaceCode = Number(row.surfaceType);
-    const surfaceType = SURFACE_TYPES[surfaceCode] ?? `Unknown(${surfaceCode})`;
+  await fs.mkdir(path.dirname(options.output), { recursive: true });
+  const geojsonText = JSON.stringify(geojson);
+  await fs.writeFile(options.output, geojsonText);
 
-    const feature = {
-      type: "Feature",
-      geometry: {
-        type: "Point",
-        coordinates: [lon, lat]
-      },
-      properties: {
-        // original fields
-        icao: row.icao,
-        name: row.name,
-        city: row.city,
-        state: row.state,
-        country: row.country,
-        type: row.type,
-        size,
-        elev: Number(row.elev),
-        longestRwy: Number(row.longestRwy),
-        services,
-
-        // replaced surface type
-        surfaceType,
-
-        // new fields
-        irlicao: irlIcao,
-        hasRealAirport,
-        icaoCorrect,
-        localfuel,
-        localmx
-      }
-    };
-
-    features.push(feature);
-  }
-
-  console.log(`Writing ${features.length} features to ${OUTPUT_PATH}...`);
-  const geojson = {
-    type: "FeatureCollection",
-    features
-  };
+  if (options.formats.length) {
+    console.log(`Exporting ${options.formats.join(", ")}...`);
+    await writeExports(geojson, geojsonText, options);
+  }
 
-  await fs.writeFile(OUTPUT_PATH, JSON.stringify(geojson));
+  if (options.tiles) {
+    console.log("Writing spatial tiles...");
+    await writeTiles(geojson, options);
+  } else {
+    // Stale tiles would shadow the GeoJSON just written.
+    await fs.rm(tilesDir(options), { recursive: true, force: true });
+  }
   console.log("Done! GeoJSON updated.");
 }
 
 main().catch((err) => {
+  if (err instanceof BuildError) {
+    console.error(`Build failed: ${err.message}`);
+    process.exit(err.exitCode);
+  }
   console.error(err);
-  process.exit(1);
+  process.exit(EXIT.FAILURE);
 });
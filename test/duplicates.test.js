@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { DuplicateCheck } from "../docs/js/shared/duplicate-check.js";
+import { DEFAULT_DUPLICATE_DISTANCE_NM, findDuplicates } from "../scripts/lib/duplicates.js";
+
+function airport(icao, name, lat, lon, properties = {}) {
+  return {
+    type: "Feature",
+    properties: { icao, name, country: "United States", countryCode: "US", ...properties },
+    geometry: { type: "Point", coordinates: [lon, lat] }
+  };
+}
+
+function kinds(result) {
+  return result.pairs.map((p) => `${p.kind}:${p.a.icao}-${p.b.icao}`).sort();
+}
+
+test("finds co-located airports within the distance threshold", () => {
+  const result = findDuplicates({
+    features: [
+      airport("AAAA", "One", 61.0, -150.0),
+      airport("BBBB", "Two", 61.0 + 0.3 / 60, -150.0),
+      airport("CCCC", "Three", 61.0 + 1 / 60, -150.0)
+    ]
+  });
+  assert.equal(DEFAULT_DUPLICATE_DISTANCE_NM, 0.5);
+  assert.deepEqual(kinds(result), ["close:AAAA-BBBB"]);
+  assert.equal(result.pairs[0].distanceNm, 0.3);
+});
+
+test("close pairs are found across latitude bands but not beyond the threshold", () => {
+  const features = [airport("AAAA", "One", 0.0049, 10), airport("BBBB", "Two", 0.0051, 10)];
+  assert.deepEqual(kinds(DuplicateCheck.find(features, { maxDistanceNm: 0.05 })), ["close:AAAA-BBBB"]);
+  assert.deepEqual(kinds(DuplicateCheck.find(features, { maxDistanceNm: 0.01 })), []);
+});
+
+test("same-name airports are matched per country, ignoring case and punctuation", () => {
+  const result = DuplicateCheck.find([
+    airport("AAAA", "Lake Field", 60, -150),
+    airport("BBBB", "lake-field", 40, -100),
+    airport("CCCC", "Lake Field", 50, 0, { country: "United Kingdom", countryCode: "GB" })
+  ]);
+  assert.deepEqual(kinds(result), ["same-name:AAAA-BBBB"]);
+  assert.match(result.pairs[0].detail, /United States \(2 airports\)/);
+});
+
+test("a large same-name group gives a spanning tree, not every pair", () => {
+  const features = [];
+  for (let i = 0; i < 200; i++) features.push(airport(`X${i}`, "Airstrip", 30 + (i % 20), -120 + Math.floor(i / 20)));
+  const result = DuplicateCheck.find(features);
+  assert.equal(result.summary.sameName, 199);
+
+  // Every airport is reached, and each link joins it to a nearby member.
+  const linked = new Set(result.pairs.flatMap((p) => [p.a.icao, p.b.icao]));
+  assert.equal(linked.size, 200);
+  for (const p of result.pairs) assert.ok(p.distanceNm <= 61, `${p.a.icao}-${p.b.icao} ${p.distanceNm}`);
+});
+
+test("airports mapped to the same IRL ICAO are linked", () => {
+  const result = findDuplicates({
+    features: [
+      airport("AAAA", "One", 60, -150, { irlicao: "PANC" }),
+      airport("BBBB", "Two", 61, -150, { irlicao: "panc" }),
+      airport("CCCC", "Three", 62, -150, { irlicao: "PAMR" })
+    ]
+  });
+  assert.deepEqual(kinds(result), ["same-irl:AAAA-BBBB"]);
+  assert.deepEqual(result.summary, { close: 0, sameName: 0, sameIrl: 1 });
+});
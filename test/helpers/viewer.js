@@ -0,0 +1,19 @@
+// Loads viewer scripts from docs/js into the test process. They are browser
+// scripts that register globals on `window`, so `window` is the global object
+// here, with the shared ES modules exposed as js/shared-globals.js does.
+
+import { DuplicateCheck } from "../../docs/js/shared/duplicate-check.js";
+import { Regions } from "../../docs/js/shared/regions.js";
+
+globalThis.window = globalThis;
+Object.assign(globalThis, { Regions, DuplicateCheck });
+
+/**
+ * Import docs/js/<name>.js for each name, in order; returns the global object.
+ */
+export async function loadViewer(...names) {
+  for (const name of names) {
+    await import(`../../docs/js/${name}.js`);
+  }
+  return globalThis;
+}
@@ -0,0 +1,108 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  attachIrlCandidates,
+  findIrlCandidates,
+  indexReferenceAirports,
+  nameSimilarity,
+  scoreCandidate
+} from "../scripts/lib/irl-match.js";
+
+function ref(ident, name, lat, lon, extra = {}) {
+  return {
+    ident,
+    gps_code: ident,
+    type: "small_airport",
+    name,
+    latitude_deg: String(lat),
+    longitude_deg: String(lon),
+    elevation_ft: "100",
+    ...extra
+  };
+}
+
+function fse(icao, name, lat, lon, properties = {}) {
+  return {
+    type: "Feature",
+    properties: { icao, name, elev: 100, hasRealAirport: false, ...properties },
+    geometry: { type: "Point", coordinates: [lon, lat] }
+  };
+}
+
+test("nameSimilarity ignores case, accents and generic words", () => {
+  assert.equal(nameSimilarity("Ted Stevens Anchorage Intl", "ted stevens anchorage international airport"), 1);
+  assert.equal(nameSimilarity("Zürich Airport", "Zurich"), 1);
+  assert.equal(nameSimilarity("Airport", "Merrill Field"), 0);
+  const close = nameSimilarity("Merrill Field", "Merril Field");
+  assert.ok(close > 0.6 && close < 1, String(close));
+});
+
+test("indexReferenceAirports skips closed airports and rows without a position", () => {
+  const index = indexReferenceAirports([
+    ref("PANC", "Anchorage", 61.17, -149.99),
+    ref("PAXX", "Gone", 61.2, -149.9, { type: "closed" }),
+    ref("PAYY", "Nowhere", "", -149.9)
+  ]);
+  assert.equal(index.count, 1);
+});
+
+test("scoreCandidate weights distance, name and elevation", () => {
+  const index = indexReferenceAirports([ref("PAMR", "Merrill Field", 61.2136, -149.844)]);
+  const pamr = Array.from(index.cells.values()).flat()[0];
+  const exact = scoreCandidate({ name: "Merrill Field", elev: 100 }, 61.2136, -149.844, pamr, 5);
+  assert.equal(exact.confidence, 1);
+  const noElev = scoreCandidate({ name: "Merrill Field", elev: null }, 61.2136, -149.844, pamr, 5);
+  assert.equal(noElev.scores.elevation, null);
+  assert.equal(noElev.confidence, 1);
+  const far = scoreCandidate({ name: "Other", elev: 700 }, 61.2136 + 4 / 60, -149.844, pamr, 5);
+  assert.equal(far.distanceNm, 4);
+  assert.ok(far.confidence < 0.3, String(far.confidence));
+});
+
+test("findIrlCandidates ranks candidates for unmapped and mismatched airports only", () => {
+  const index = indexReferenceAirports([
+    ref("PAMR", "Merrill Field", 61.2136, -149.844),
+    ref("PALH", "Lake Hood Seaplane Base", 61.18, -149.97),
+    ref("PANC", "Ted Stevens Anchorage International", 61.1744, -149.9961)
+  ]);
+  const collection = {
+    features: [
+      fse("XMRL", "Merrill Field", 61.214, -149.845),
+      fse("XANC", "Anchorage Intl", 61.175, -149.99, { hasRealAirport: true, icaoCorrect: false, irlicao: "PAXX" }),
+      fse("PANC", "Ted Stevens", 61.1744, -149.9961, { hasRealAirport: true, icaoCorrect: true })
+    ]
+  };
+
+  const result = findIrlCandidates(collection, index);
+  assert.deepEqual(result.summary, { checked: 2, withCandidates: 2, none: 1, incorrect: 1 });
+  const merrill = result.airports.find((a) => a.icao === "XMRL");
+  assert.equal(merrill.status, "none");
+  assert.equal(merrill.candidates[0].code, "PAMR");
+  const anc = result.airports.find((a) => a.icao === "XANC");
+  assert.equal(anc.status, "incorrect");
+  assert.equal(anc.candidates[0].code, "PANC");
+  assert.ok(anc.candidates.length <= 3);
+
+  attachIrlCandidates(collection, result);
+  assert.equal(collection.features[0].properties.irlCandidates[0].code, "PAMR");
+  assert.equal(collection.features[1].properties.irlCandidates, undefined);
+});
+
+test("findIrlCandidates covers maxDistanceNm at high latitude and across the antimeridian", () => {
+  const index = indexReferenceAirports([
+    ref("BGTL", "Thule Air Base", 76.53, -68.7),
+    ref("NZSP", "South Pole Station", -89.99, 139.27),
+    ref("PADK", "Adak", 51.88, 179.9)
+  ]);
+  const collection = {
+    features: [
+      fse("T1", "Thule Air Base", 76.6, -67.0),
+      fse("T2", "South Pole Station", -89.9, -40),
+      fse("T3", "Adak", 51.88, -179.9)
+    ]
+  };
+
+  const result = findIrlCandidates(collection, index, { maxDistanceNm: 30, minConfidence: 0 });
+  const found = Object.fromEntries(result.airports.map((a) => [a.icao, a.candidates[0].code]));
+  assert.deepEqual(found, { T1: "BGTL", T2: "NZSP", T3: "PADK" });
+});
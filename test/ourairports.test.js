@@ -0,0 +1,58 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { enrichCollection, indexOurAirports, ourAirportsProperties } from "../scripts/lib/ourairports.js";
+
+function row(fields) {
+  return {
+    ident: "",
+    name: "",
+    municipality: "",
+    scheduled_service: "no",
+    gps_code: "",
+    iata_code: "",
+    local_code: "",
+    keywords: "",
+    ...fields
+  };
+}
+
+test("keywords that look like codes in the same ICAO region become former codes", () => {
+  const p = ourAirportsProperties(
+    row({ ident: "LSZH", keywords: "LSZK, Kloten, KZRH, LSZH, USAF, NASA, LSZK" }),
+    { icao: "LSZH", name: "Zurich" }
+  );
+  assert.deepEqual(p.formerCodes, ["LSZK"]);
+  assert.deepEqual(p.altNames, ["Kloten", "KZRH", "USAF", "NASA"]);
+});
+
+test("names FSE already has are not repeated as alternates", () => {
+  const p = ourAirportsProperties(
+    row({ ident: "EGLL", name: "London Heathrow Airport", municipality: "London", iata_code: "LHR", keywords: "LHR,Heathrow" }),
+    { icao: "EGLL", name: "London Heathrow Airport", city: "london" }
+  );
+  assert.deepEqual(p.altNames, ["Heathrow"]);
+  assert.equal(p.iata, "LHR");
+});
+
+test("features join on their IRL ICAO", () => {
+  const index = indexOurAirports([
+    row({ ident: "EGLL", iata_code: "LHR", scheduled_service: "yes" })
+  ]);
+  const collection = {
+    features: [
+      { properties: { icao: "EGLL", irlicao: "egll" } },
+      { properties: { icao: "XXXX", irlicao: "ZZZZ" } },
+      { properties: { icao: "YYYY", irlicao: "" } }
+    ]
+  };
+
+  assert.deepEqual(enrichCollection(collection, index), { matched: 1, unmatched: 1 });
+  assert.equal(collection.features[0].properties.iata, "LHR");
+  assert.equal(collection.features[0].properties.scheduledService, true);
+  assert.equal(collection.features[1].properties.iata, undefined);
+});
+
+test("a file without the expected columns is rejected", () => {
+  assert.throws(() => indexOurAirports([{ ident: "EGLL" }]), { name: "BuildError" });
+});
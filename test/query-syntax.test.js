@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadViewer } from "./helpers/viewer.js";
+
+const { QuerySyntax } = await loadViewer("geo-utils", "search", "query-syntax");
+
+test("plain text is not a structured query", () => {
+  assert.equal(QuerySyntax.isStructured("anchorage"), false);
+  assert.equal(QuerySyntax.isStructured("country:us"), true);
+
+  const parsed = QuerySyntax.parse("anchorage");
+  assert.equal(parsed.structured, false);
+  assert.equal(parsed.text, "anchorage");
+  assert.deepEqual(parsed.groups, [{ include: {}, exclude: [], negated: [] }]);
+});
+
+test("terms parse into filter options, leaving the free text", () => {
+  const parsed = QuerySyntax.parse('country:ca,us surface:grass rwy>3000 type:"military" big lake');
+
+  assert.deepEqual(parsed.errors, []);
+  assert.equal(parsed.text, "big lake");
+  assert.deepEqual(parsed.include, {
+    countrySel: ["ca", "us"],
+    surfaceSel: ["grass"],
+    rwyMin: 3001,
+    typeSel: ["military"]
+  });
+});
+
+test("ranges, heading and near take their own value forms", () => {
+  const { include, errors } = QuerySyntax.parse(
+    'rwy:3000-5000 elev:100-500 size>=2000 hdg:090/10 near:"61.2,-149.9"/50 fuel:yes irl:none'
+  );
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(include, {
+    rwyMin: 3000,
+    rwyMax: 5000,
+    ranges: { elev: { min: 100, max: 500 }, size: { min: 2000 } },
+    rwyHeading: 90,
+    rwyHeadingTol: 10,
+    radiusCenter: "61.2,-149.9",
+    radiusCenterLat: 61.2,
+    radiusCenterLon: -149.9,
+    radiusNm: 50,
+    requireLocalFuel: true,
+    irlStatus: "none"
+  });
+});
+
+test("a negated facet puts that facet in exclude mode", () => {
+  const { include, exclude, negated } = QuerySyntax.parse("-surface:grass,water");
+
+  assert.deepEqual(include, {
+    surfaceSel: ["grass", "water"],
+    facetModes: { surface: "exclude" }
+  });
+  assert.deepEqual(exclude, []);
+  assert.deepEqual(negated, []);
+});
+
+test("a negated term on an included facet becomes an exclude clause", () => {
+  const [group] = QuerySyntax.parse("country:us,ca -country:mx").groups;
+
+  assert.deepEqual(group.include, { countrySel: ["us", "ca"] });
+  assert.deepEqual(group.exclude, [{ countrySel: ["mx"] }]);
+  assert.deepEqual(group.negated, ["-country:mx"]);
+});
+
+test("OR starts a new group", () => {
+  const parsed = QuerySyntax.parse("elev:100-500 OR country:gb -type:military");
+
+  assert.deepEqual(parsed.groups, [
+    { include: { ranges: { elev: { min: 100, max: 500 } } }, exclude: [], negated: [] },
+    {
+      include: { countrySel: ["gb"], typeSel: ["military"], facetModes: { type: "exclude" } },
+      exclude: [],
+      negated: []
+    }
+  ]);
+});
+
+test("unknown keys are reported with their position", () => {
+  const { errors } = QuerySyntax.parse("lat:40-50 bogus:1");
+  assert.deepEqual(errors, [{ start: 10, end: 17, message: 'Unknown filter "bogus"' }]);
+});
+
+test("stringify writes options back as query terms", () => {
+  const text = QuerySyntax.stringify(
+    {
+      countrySel: ["ca"],
+      surfaceSel: ["grass"],
+      facetModes: { surface: "exclude" },
+      rwyMin: 3001,
+      ranges: { elev: { min: 100, max: 500 } },
+      requireLocalFuel: true
+    },
+    ["-country:mx"],
+    "big lake"
+  );
+  assert.equal(text, "country:ca -surface:grass rwy>=3001 elev:100-500 fuel:yes -country:mx big lake");
+});
+
+test("stringifyGroups round-trips through parse", () => {
+  const query = "elev:100-500 OR country:gb -type:military OR country:us -country:mx lake";
+  const parsed = QuerySyntax.parse(query);
+  const groups = parsed.groups.map((g) => ({ opts: g.include, negated: g.negated }));
+  const text = QuerySyntax.stringifyGroups(groups, parsed.text);
+
+  assert.equal(text, query);
+  assert.deepEqual(QuerySyntax.parse(text).groups, parsed.groups);
+});
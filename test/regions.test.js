@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { Regions } from "../docs/js/shared/regions.js";
+import { normalizeRegion } from "../scripts/lib/regions.js";
+
+test("country names, aliases and codes map to ISO alpha-2", () => {
+  assert.equal(Regions.countryCode("United States"), "US");
+  assert.equal(Regions.countryCode("USA"), "US");
+  assert.equal(Regions.countryCode("Bosnia And Herzegovina"), "BA");
+  assert.equal(Regions.countryCode("bosnia & herzegovina"), "BA");
+  assert.equal(Regions.countryCode("Côte d'Ivoire"), "CI");
+  assert.equal(Regions.countryCode("St. Lucia"), "LC");
+  assert.equal(Regions.countryCode("gb"), "GB");
+  assert.equal(Regions.countryCode("Atlantis"), null);
+  assert.equal(Regions.countryCode(""), null);
+});
+
+test("states map to ISO 3166-2 codes within their country", () => {
+  assert.equal(Regions.stateCode("US", "Alaska"), "US-AK");
+  assert.equal(Regions.stateCode("us", "AK"), "US-AK");
+  assert.equal(Regions.stateCode("CA", "Yukon Territory"), "CA-YT");
+  assert.equal(Regions.stateCode("MX", "Distrito Federal"), "MX-CMX");
+  assert.equal(Regions.stateCode("US", "Yukon"), null);
+  assert.equal(Regions.stateCode("ZZ", "Alaska"), null);
+});
+
+test("codes map back to display names and flags", () => {
+  assert.equal(Regions.countryName("us"), "United States");
+  assert.equal(Regions.stateName("US-AK"), "Alaska");
+  assert.equal(Regions.stateName("US-XX"), null);
+  assert.equal(Regions.flag("CH"), "\u{1F1E8}\u{1F1ED}");
+  assert.equal(Regions.flag("XX"), "");
+});
+
+test("the build normalizes country and state together", () => {
+  assert.deepEqual(normalizeRegion("United States", "Alaska"), {
+    countryCode: "US",
+    stateCode: "US-AK"
+  });
+  assert.deepEqual(normalizeRegion("Narnia", "Alaska"), { countryCode: null, stateCode: null });
+  assert.deepEqual(normalizeRegion("Germany", ""), { countryCode: "DE", stateCode: null });
+});
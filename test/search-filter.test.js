@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadViewer } from "./helpers/viewer.js";
+
+const { Search, QuerySyntax } = await loadViewer("geo-utils", "search", "query-syntax");
+
+function airport(icao, properties) {
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [0, 0] },
+    properties: { icao, name: icao, ...properties }
+  };
+}
+
+Search.build([
+  airport("CYVR", { countryCode: "CA", type: "civil", surfaceType: "1", elev: 14 }),
+  airport("CYOD", { countryCode: "CA", type: "military", surfaceType: "1", elev: 1775 }),
+  airport("CAL4", { countryCode: "CA", type: "civil", surfaceType: "5", elev: 2000 }),
+  airport("KSEA", { countryCode: "US", type: "civil", surfaceType: "1", elev: 433 }),
+  airport("KSKA", { countryCode: "US", type: "military", surfaceType: "1", elev: 2462 }),
+  airport("MMMX", { countryCode: "MX", type: "civil", surfaceType: "1", elev: 7316 })
+]);
+
+const icaos = (features) => features.map((f) => f.properties.icao);
+
+// Search.filter options for a query, as the query box builds them.
+function optionsFor(query) {
+  const { groups, text } = QuerySyntax.parse(query);
+  return groups.length > 1
+    ? { q: text, groups: groups.map((g) => ({ ...g.include, exclude: g.exclude })) }
+    : { q: text, ...groups[0].include, exclude: groups[0].exclude };
+}
+
+test("a facet in exclude mode drops the selected values", () => {
+  const out = Search.filter({ countrySel: ["ca", "us"], facetModes: { country: "exclude" } });
+  assert.deepEqual(icaos(out), ["MMMX"]);
+});
+
+test("exclude entries drop airports matching any of them", () => {
+  const out = Search.filter({
+    countrySel: ["ca", "us"],
+    exclude: [{ typeSel: ["military"] }, { surfaceSel: ["5"] }]
+  });
+  assert.deepEqual(icaos(out), ["CYVR", "KSEA"]);
+});
+
+test("an exclude entry with text only drops the airports the text finds", () => {
+  const out = Search.filter({ countrySel: ["ca"], exclude: [{ q: "cyvr" }] });
+  assert.deepEqual(icaos(out), ["CYOD", "CAL4"]);
+});
+
+test("groups combine with OR and the other options apply on top", () => {
+  const groups = [{ countrySel: ["mx"] }, { countrySel: ["us"], typeSel: ["military"] }];
+  assert.deepEqual(icaos(Search.filter({ groups })), ["KSKA", "MMMX"]);
+  assert.deepEqual(icaos(Search.filter({ groups, ranges: { elev: { max: 5000 } } })), ["KSKA"]);
+});
+
+test("each group keeps its own exclude entries", () => {
+  const out = Search.filter({
+    groups: [
+      { countrySel: ["ca"], exclude: [{ typeSel: ["military"] }] },
+      { countrySel: ["us"], exclude: [{ typeSel: ["civil"] }] }
+    ]
+  });
+  assert.deepEqual(icaos(out), ["CYVR", "CAL4", "KSKA"]);
+});
+
+test("parsed queries filter the same way", () => {
+  assert.deepEqual(icaos(Search.filter(optionsFor("-country:ca,us"))), ["MMMX"]);
+  assert.deepEqual(icaos(Search.filter(optionsFor("country:ca -type:military -surface:5"))), ["CYVR"]);
+  assert.deepEqual(
+    icaos(Search.filter(optionsFor("country:mx OR country:us type:military"))),
+    ["KSKA", "MMMX"]
+  );
+});
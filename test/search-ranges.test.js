@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadViewer } from "./helpers/viewer.js";
+
+const { Search } = await loadViewer("geo-utils", "search");
+
+function airport(icao, lat, lon, properties) {
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [lon, lat] },
+    properties: { icao, name: icao, ...properties }
+  };
+}
+
+Search.build([
+  airport("LOW1", 10, 10, { elev: 0, size: 800, longestRwy: 2000 }),
+  airport("MID1", 45, 20, { elev: 1500, size: 2500, longestRwy: 5000 }),
+  airport("MID2", 48, 30, { elev: "2000", size: 3000, longestRwy: 7000 }),
+  airport("HIGH", 50, 40, { elev: 9000, size: 6000, longestRwy: 12000 }),
+  airport("NONE", 60, 50, { elev: "", size: null })
+]);
+
+const icaos = (features) => features.map((f) => f.properties.icao);
+
+test("numericValue reads named fields, aliases and coordinates", () => {
+  const [f] = Search.filter({ q: "MID2" });
+  assert.equal(Search.numericValue(f, "elev"), 2000);
+  assert.equal(Search.numericValue(f, "elevation"), 2000);
+  assert.equal(Search.numericValue(f, "rwy"), 7000);
+  assert.equal(Search.numericValue(f, "lat"), 48);
+  assert.equal(Search.numericValue(f, "longitude"), 30);
+  assert.equal(Search.numericValue(f, "missing"), null);
+});
+
+test("ranges are inclusive and open-ended bounds are allowed", () => {
+  assert.deepEqual(icaos(Search.filter({ ranges: { elev: { min: 1500, max: 2000 } } })), ["MID1", "MID2"]);
+  assert.deepEqual(icaos(Search.filter({ ranges: { elev: { min: 5000 } } })), ["HIGH"]);
+  assert.deepEqual(icaos(Search.filter({ ranges: { lat: { max: 45 } } })), ["LOW1", "MID1"]);
+});
+
+test("blank bounds are ignored, and airports without the value never match", () => {
+  assert.equal(Search.filter({ ranges: { elev: { min: "", max: "" } } }).length, 5);
+  assert.deepEqual(icaos(Search.filter({ ranges: { size: { max: 100000 } } })), ["LOW1", "MID1", "MID2", "HIGH"]);
+});
+
+test("several ranges and the runway range all apply", () => {
+  const out = Search.filter({ rwyMin: 4000, ranges: { elev: { max: 5000 }, lon: { min: 25 } } });
+  assert.deepEqual(icaos(out), ["MID2"]);
+});
+
+test("histogram bins the whole dataset between its min and max", () => {
+  assert.deepEqual(Search.histogram("elev", 3), {
+    min: 0,
+    max: 9000,
+    counts: [3, 0, 1],
+    total: 4
+  });
+});
+
+test("histogram clipping trims outliers off each end", () => {
+  const h = Search.histogram("elev", 2, 0.25);
+  assert.equal(h.min, 1500);
+  assert.equal(h.max, 2000);
+  assert.deepEqual(h.counts, [1, 1]);
+  assert.equal(h.total, 4);
+});
+
+test("histogram of a field no airport has is null", () => {
+  assert.equal(Search.histogram("missing", 10), null);
+});
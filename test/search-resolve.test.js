@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadViewer } from "./helpers/viewer.js";
+
+const { Search } = await loadViewer("geo-utils", "search");
+
+function airport(properties, lat = 0, lon = 0) {
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [lon, lat] },
+    properties
+  };
+}
+
+const HEATHROW = airport({
+  icao: "EGLL",
+  name: "London Heathrow",
+  irlicao: "EGLL",
+  iata: "LHR",
+  altNames: ["Heathrow"]
+});
+const ZURICH = airport({
+  icao: "LSZH",
+  name: "Zürich Kloten",
+  irlicao: "LSZH",
+  iata: "ZRH",
+  formerCodes: ["LSZK"]
+});
+const ANCHORAGE = airport({ icao: "ANC1", name: "Anchorage", irlicao: "PANC", localCode: "ANC" });
+const ANCHORAGE_SEAPLANE = airport({ icao: "ANC2", name: "Anchorage", gpsCode: "PALH" });
+
+Search.build([HEATHROW, ZURICH, ANCHORAGE, ANCHORAGE_SEAPLANE]);
+
+test("an FSE ICAO resolves without an alias", () => {
+  assert.deepEqual(Search.resolve(" egll "), { feature: HEATHROW, alias: null });
+});
+
+test("codes resolve through the alias index with a note", () => {
+  const byIata = Search.resolve("lhr");
+  assert.equal(byIata.feature, HEATHROW);
+  assert.deepEqual(byIata.alias, {
+    kind: "iata",
+    label: "IATA",
+    value: "LHR",
+    note: "resolved from IATA LHR",
+    matches: 1
+  });
+
+  assert.equal(Search.resolve("PANC").alias.note, "resolved from IRL ICAO PANC");
+  assert.equal(Search.resolve("LSZK").alias.note, "resolved from former code LSZK");
+  assert.equal(Search.resolve("palh").alias.note, "resolved from GPS code PALH");
+  assert.equal(Search.resolve("anc").alias.note, "resolved from local code ANC");
+});
+
+test("names match ignoring case and accents", () => {
+  const hit = Search.resolve("ZURICH kloten");
+  assert.equal(hit.feature, ZURICH);
+  assert.equal(hit.alias.kind, "name");
+  assert.equal(hit.alias.value, "Zürich Kloten");
+
+  assert.equal(Search.resolve("heathrow").feature, HEATHROW);
+});
+
+test("a shared alias returns the first airport and counts the rest", () => {
+  const hit = Search.resolve("Anchorage");
+  assert.equal(hit.feature, ANCHORAGE);
+  assert.equal(hit.alias.matches, 2);
+  assert.equal(hit.alias.note, "resolved from name Anchorage (1 of 2)");
+});
+
+test("unknown or empty text does not resolve", () => {
+  assert.equal(Search.resolve("XXXX"), null);
+  assert.equal(Search.resolve("  "), null);
+});
@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { loadViewer } from "./helpers/viewer.js";
+
+const { Search, GeoUtil } = await loadViewer("geo-utils", "search");
+
+function airport(icao, lat, lon) {
+  return {
+    type: "Feature",
+    geometry: { type: "Point", coordinates: [lon, lat] },
+    properties: { icao, name: icao }
+  };
+}
+
+const AIRPORTS = [
+  airport("PANC", 61.174, -149.998),
+  airport("PAMR", 61.214, -149.846),
+  airport("PAFA", 64.815, -147.856),
+  airport("KSEA", 47.449, -122.309),
+  airport("UHMA", 64.735, 177.741),
+  airport("PADL", 59.045, -158.503),
+  airport("NZSP", -89.999, 139.273),
+  airport("SAWH", -54.843, -68.296)
+];
+Search.build(AIRPORTS);
+
+const icaos = (hits) => hits.map((h) => h.feature.properties.icao);
+
+// Every airport within nm of the point by brute force, nearest first.
+function bruteWithin(lat, lon, nm) {
+  return AIRPORTS.map((f) => {
+    const [fLon, fLat] = f.geometry.coordinates;
+    return { feature: f, distanceNm: GeoUtil.haversineNm(lat, lon, fLat, fLon) };
+  })
+    .filter((h) => h.distanceNm <= nm)
+    .sort((a, b) => a.distanceNm - b.distanceNm);
+}
+
+test("within returns airports in range, nearest first, with distances", () => {
+  const hits = Search.within(61.174, -149.998, 20);
+  assert.deepEqual(icaos(hits), ["PANC", "PAMR"]);
+  assert.equal(hits[0].distanceNm, 0);
+  assert.ok(hits[1].distanceNm > 0 && hits[1].distanceNm < 10);
+});
+
+test("within matches a brute-force scan across cells, poles and the antimeridian", () => {
+  const points = [
+    [61.2, -150, 300],
+    [65, -179.5, 800],
+    [64.7, 179.9, 50],
+    [-89.5, 0, 60],
+    [-55, -68, 5],
+    [0, 0, 12000]
+  ];
+  for (const [lat, lon, nm] of points) {
+    assert.deepEqual(icaos(Search.within(lat, lon, nm)), icaos(bruteWithin(lat, lon, nm)), `${lat},${lon} ${nm} nm`);
+  }
+});
+
+test("within rejects missing coordinates and negative radii", () => {
+  assert.deepEqual(Search.within(NaN, 0, 10), []);
+  assert.deepEqual(Search.within(0, 0, -1), []);
+});
+
+test("nearest widens the search until it has k airports", () => {
+  assert.deepEqual(icaos(Search.nearest(61.18, -149.99, 2)), ["PANC", "PAMR"]);
+  assert.deepEqual(icaos(Search.nearest(0, 0, 1)), ["SAWH"]);
+  assert.equal(Search.nearest(0, 0, 100).length, AIRPORTS.length);
+});
+
+test("nearest skips airports the predicate rejects", () => {
+  const notAnchorage = (f) => !f.properties.icao.startsWith("PA");
+  assert.deepEqual(icaos(Search.nearest(61.18, -149.99, 1, notAnchorage)), ["UHMA"]);
+});
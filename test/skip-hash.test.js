@@ -0,0 +1,59 @@
+import assert from "node:assert/strict";
+import { spawnSync } from "node:child_process";
+import fs from "node:fs/promises";
+import os from "node:os";
+import path from "node:path";
+import { after, before, test } from "node:test";
+import { fileURLToPath } from "node:url";
+import { EXIT } from "../scripts/lib/errors.js";
+
+const script = fileURLToPath(new URL("../scripts/update-airports.js", import.meta.url));
+const fixtures = fileURLToPath(new URL("./fixtures/", import.meta.url));
+
+let dir;
+
+function build(...extra) {
+  const result = spawnSync(
+    process.execPath,
+    [
+      script,
+      "--fse", path.join(fixtures, "fse.csv"),
+      "--irl", path.join(fixtures, "irl.csv"),
+      "--out", path.join(dir, "out", "airports.geojson"),
+      "--report-dir", path.join(dir, "reports"),
+      "--cache-dir", path.join(dir, "cache"),
+      ...extra
+    ],
+    { encoding: "utf8", timeout: 60000 }
+  );
+  return result.status;
+}
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), "fse-skip-"));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test("an unchanged rebuild exits with NO_CHANGES and writes nothing", async () => {
+  assert.equal(build(), EXIT.OK);
+  const out = path.join(dir, "out", "airports.geojson");
+  const first = await fs.stat(out);
+
+  assert.equal(build(), EXIT.NO_CHANGES);
+  assert.equal((await fs.stat(out)).mtimeMs, first.mtimeMs);
+});
+
+test("options that change the output or the gates rebuild", () => {
+  assert.equal(build("--strict"), EXIT.OK);
+  assert.equal(build("--strict"), EXIT.NO_CHANGES);
+  assert.equal(build("--strict", "--max-rejects", "5"), EXIT.OK);
+  assert.equal(build("--formats", "csv"), EXIT.OK);
+  assert.equal(build("--formats", "csv"), EXIT.NO_CHANGES);
+});
+
+test("--force rebuilds unchanged inputs", () => {
+  assert.equal(build("--formats", "csv", "--force"), EXIT.OK);
+});
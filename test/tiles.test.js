@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { buildTiles, DEFAULT_TILE_SIZE } from "../scripts/lib/tiles.js";
+
+function point(icao, lat, lon) {
+  return {
+    type: "Feature",
+    properties: { icao },
+    geometry: { type: "Point", coordinates: [lon, lat] }
+  };
+}
+
+function collection(features, metadata) {
+  return { type: "FeatureCollection", features, ...(metadata ? { metadata } : {}) };
+}
+
+test("groups features into cells keyed by row and column", () => {
+  const { manifest, tiles } = buildTiles(
+    collection([point("PANC", 61.17, -149.99), point("PAMR", 61.21, -149.84), point("EGLL", 51.47, -0.46)])
+  );
+
+  assert.equal(manifest.tileSize, DEFAULT_TILE_SIZE);
+  assert.equal(manifest.count, 3);
+  assert.deepEqual(
+    tiles.map((t) => [t.file, t.collection.features.map((f) => f.properties.icao)]),
+    [
+      ["14_17.geojson", ["EGLL"]],
+      ["15_3.geojson", ["PANC", "PAMR"]]
+    ]
+  );
+  assert.deepEqual(
+    manifest.tiles.map((t) => [t.key, t.bounds, t.count]),
+    [
+      ["14_17", [-10, 50, 0, 60], 1],
+      ["15_3", [-150, 60, -140, 70], 2]
+    ]
+  );
+});
+
+test("puts points on the north pole and antimeridian in the last cell", () => {
+  const { manifest } = buildTiles(collection([point("NP", 90, 180)]), 30);
+  assert.deepEqual(manifest.tiles[0].bounds, [150, 60, 180, 90]);
+});
+
+test("manifest tile counts add up and metadata is copied", () => {
+  const features = [];
+  for (let i = 0; i < 50; i++) features.push(point(`X${i}`, -80 + i * 3.2, -170 + i * 6.9));
+  const metadata = { builtAt: "2026-01-01T00:00:00Z" };
+  const { manifest, tiles } = buildTiles(collection(features, metadata), 15);
+
+  assert.equal(manifest.metadata, metadata);
+  assert.equal(manifest.tiles.reduce((n, t) => n + t.count, 0), features.length);
+  assert.equal(tiles.length, manifest.tiles.length);
+  for (const t of manifest.tiles) {
+    const [west, south, east, north] = t.bounds;
+    const tile = tiles.find((x) => x.file === t.file);
+    for (const f of tile.collection.features) {
+      const [lon, lat] = f.geometry.coordinates;
+      assert.ok(lon >= west && lon < east && lat >= south && lat < north, `${f.properties.icao} in ${t.key}`);
+    }
+  }
+});
+
+test("an empty collection gives an empty manifest", () => {
+  const { manifest, tiles } = buildTiles(collection([]));
+  assert.deepEqual(tiles, []);
+  assert.deepEqual(manifest.tiles, []);
+  assert.equal(manifest.metadata, null);
+});